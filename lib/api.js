@@ -0,0 +1,293 @@
+import { createServer } from 'http';
+import { Logger } from './config.js';
+import { PROXY_SORT_ORDERS } from './database.js';
+import { formatProxies, listExportFormats, toExportObjects } from './export.js';
+import { MetricsRegistry } from './metrics.js';
+
+// Page size of /proxies when no limit is given, and the largest allowed
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  plain: 'text/plain; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  prometheus: 'text/plain; version=0.0.4; charset=utf-8'
+};
+
+/**
+ * Raised for invalid request parameters, answered with 400
+ */
+class BadRequestError extends Error {}
+
+/**
+ * Split a comma-separated query parameter into a list
+ */
+function listParam(query, name) {
+  return (query.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a request target; a malformed one (e.g. `//[`) is a bad request
+ */
+function parseRequestUrl(target) {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch {
+    throw new BadRequestError(`Malformed request URL: ${target}`);
+  }
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ */
+function integerParam(query, name, defaultValue) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') {
+    return defaultValue;
+  }
+  
+  if (!/^\d+$/.test(raw)) {
+    throw new BadRequestError(`${name} must be a non-negative integer, got '${raw}'`);
+  }
+  return parseInt(raw, 10);
+}
+
+/**
+ * Parse a true / false query parameter (absent = undefined)
+ */
+function booleanParam(query, name) {
+  const raw = query.get(name);
+  if (raw === null) {
+    return undefined;
+  }
+  
+  if (!['true', 'false'].includes(raw)) {
+    throw new BadRequestError(`${name} must be true or false, got '${raw}'`);
+  }
+  return raw === 'true';
+}
+
+/**
+ * Parse a 0-1 ratio query parameter (absent = undefined)
+ */
+function ratioParam(query, name) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+  
+  const value = Number(raw);
+  if (!(value >= 0 && value <= 1)) {
+    throw new BadRequestError(`${name} must be a ratio between 0 and 1, got '${raw}'`);
+  }
+  return value;
+}
+
+/**
+ * Filters used by /proxies
+ */
+function proxyFilters(query) {
+  return {
+    protocol: listParam(query, 'protocol'),
+    country: listParam(query, 'country'),
+    region: listParam(query, 'region'),
+    city: listParam(query, 'city'),
+    org: query.get('org') || undefined,
+    hasHostname: booleanParam(query, 'has_hostname'),
+    minUptime: ratioParam(query, 'min_uptime')
+  };
+}
+
+/**
+ * Read-only HTTP API over the pool table
+ *
+ * Routes (GET only):
+ *   /proxies          filtered, paginated list (json, plain or csv)
+ *   /proxies/random   random proxies, optionally filtered
+ *   /stats            pool counts by protocol and country
+ *   /health           DatabaseClient.healthCheck()
+ *   /metrics          Prometheus metrics, refreshed by a health check per scrape
+ */
+export class ProxyApiServer {
+  constructor(dbClient, logger = new Logger(), metrics = new MetricsRegistry()) {
+    this.dbClient = dbClient;
+    this.logger = logger.child('api');
+    this.metrics = metrics;
+    this.server = createServer((req, res) => this.handle(req, res));
+    this.routes = {
+      '/proxies': query => this.listProxies(query),
+      '/proxies/random': query => this.randomProxies(query),
+      '/stats': () => this.stats(),
+      '/health': () => this.health(),
+      '/metrics': () => this.renderMetrics()
+    };
+  }
+  
+  /**
+   * Start listening; resolves once the port is bound
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        const address = this.server.address();
+        this.logger.info(`API listening on http://${address.address}:${address.port}`);
+        resolve(address);
+      });
+    });
+  }
+  
+  /**
+   * Stop accepting connections and wait for open requests to finish
+   */
+  close() {
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections();
+    });
+  }
+  
+  /**
+   * Dispatch a request to its route and write the response
+   */
+  async handle(req, res) {
+    const startTime = Date.now();
+    let url = null;
+    let response;
+    
+    try {
+      url = parseRequestUrl(req.url);
+      const route = this.routes[url.pathname.replace(/\/+$/, '') || '/'];
+      
+      if (!route) {
+        response = { status: 404, body: { error: `Not found: ${url.pathname}` } };
+      } else if (req.method !== 'GET' && req.method !== 'HEAD') {
+        response = { status: 405, body: { error: `Method ${req.method} not allowed` }, headers: { Allow: 'GET, HEAD' } };
+      } else {
+        response = await route(url.searchParams);
+      }
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        response = { status: 400, body: { error: error.message } };
+      } else {
+        this.logger.error(`API ${url?.pathname ?? req.url} failed: ${error.message}`);
+        response = { status: 500, body: { error: 'Internal server error' } };
+      }
+    }
+    
+    const format = response.format || 'json';
+    const payload = format === 'json' ? `${JSON.stringify(response.body)}\n` : response.body;
+    
+    res.writeHead(response.status || 200, {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Length': Buffer.byteLength(payload),
+      'Cache-Control': 'no-store',
+      ...response.headers
+    });
+    res.end(req.method === 'HEAD' ? undefined : payload);
+    
+    this.logger.debug('Request', { method: req.method, url: req.url, status: response.status || 200, durationMs: Date.now() - startTime });
+  }
+  
+  /**
+   * GET /proxies?protocol=&country=&region=&city=&org=&has_hostname=&min_uptime=
+   *   &limit=&offset=&sort=&history=&format=
+   */
+  async listProxies(query) {
+    const filters = proxyFilters(query);
+    const limit = integerParam(query, 'limit', DEFAULT_PAGE_SIZE);
+    const offset = integerParam(query, 'offset', 0);
+    const sort = query.get('sort') || 'proxy';
+    const history = booleanParam(query, 'history') ?? false;
+    const format = query.get('format') || 'json';
+    
+    if (!PROXY_SORT_ORDERS.includes(sort)) {
+      throw new BadRequestError(`sort must be one of ${PROXY_SORT_ORDERS.join(', ')}, got '${sort}'`);
+    }
+    
+    if (limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new BadRequestError(`limit must be between 1 and ${MAX_PAGE_SIZE}, got ${limit}`);
+    }
+    
+    if (!listExportFormats().includes(format)) {
+      throw new BadRequestError(`format must be one of ${listExportFormats().join(', ')}, got '${format}'`);
+    }
+    
+    const rows = await this.dbClient.queryProxies({ ...filters, limit, offset, sort, history });
+    
+    if (format !== 'json') {
+      return { format, body: formatProxies(rows, format, { history }) };
+    }
+    
+    return {
+      body: {
+        total: await this.dbClient.countProxies(filters),
+        limit,
+        offset,
+        proxies: toExportObjects(rows, { history })
+      }
+    };
+  }
+  
+  /**
+   * GET /proxies/random?country=&protocol=&count=
+   */
+  async randomProxies(query) {
+    const count = integerParam(query, 'count', 1);
+    
+    if (count < 1 || count > MAX_PAGE_SIZE) {
+      throw new BadRequestError(`count must be between 1 and ${MAX_PAGE_SIZE}, got ${count}`);
+    }
+    
+    const filters = { protocol: listParam(query, 'protocol'), country: listParam(query, 'country') };
+    const rows = await this.dbClient.queryProxies({ ...filters, limit: count, random: true });
+    
+    if (rows.length === 0) {
+      return { status: 404, body: { error: 'No proxy matches the filters' } };
+    }
+    
+    const proxies = toExportObjects(rows);
+    return { body: query.has('count') ? { proxies } : proxies[0] };
+  }
+  
+  /**
+   * GET /stats
+   */
+  async stats() {
+    const distribution = await this.dbClient.getTableDistribution('pool');
+    let lastSyncTime = null;
+    
+    try {
+      lastSyncTime = (await this.dbClient.getSyncRunStats()).lastSyncTime;
+    } catch (error) {
+      this.logger.warn(`Could not get sync run stats: ${error.message}`);
+    }
+    
+    return {
+      body: {
+        total: distribution.total,
+        protocol: distribution.protocol,
+        country: distribution.country,
+        lastSyncTime
+      }
+    };
+  }
+  
+  /**
+   * GET /health - 200 when the database is healthy, 503 otherwise
+   */
+  async health() {
+    const result = await this.dbClient.healthCheck();
+    return { status: result.status === 'healthy' ? 200 : 503, body: result };
+  }
+  
+  /**
+   * GET /metrics - Prometheus text format
+   */
+  async renderMetrics() {
+    await this.dbClient.healthCheck(this.metrics);
+    return { format: 'prometheus', body: this.metrics.render() };
+  }
+}
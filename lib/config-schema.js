@@ -0,0 +1,294 @@
+import { listFormats, parseTemplate } from './formats.js';
+import { parseCron } from './schedule.js';
+import { NOTIFY_EVENTS, listWebhookFormats } from './notifier.js';
+
+// Statuses a failed health check may report, in the order of their exit
+// codes, and the checks whose status is configurable (HEALTH_SEVERITIES)
+export const SEVERITIES = ['warning', 'unhealthy', 'error'];
+export const SEVERITY_CHECKS = ['live_file_age', 'pool_freshness', 'pool_size', 'schema_drift'];
+
+/**
+ * Run a parser that throws and turn its error into a validation message
+ */
+function parses(parse, value) {
+  try {
+    parse(value);
+    return null;
+  } catch (error) {
+    return `is invalid: ${error.message}`;
+  }
+}
+
+/**
+ * Every configuration setting: config key -> definition
+ *
+ *   env       environment variable (the CLI flag is its kebab-case form,
+ *             e.g. BATCH_SIZE -> --batch-size=500)
+ *   type      string, integer, number, boolean, list (comma-separated) or map
+ *             (comma-separated key=value pairs, merged over the default)
+ *   default   value when unset; null for optional numbers (no limit)
+ *   values    allowed values
+ *   min, max  bounds of numbers
+ *   required  must not be empty
+ *   secret    masked by `npm run config print`
+ *   check     extra validation: (value, config) -> error message or null
+ */
+export const CONFIG_SCHEMA = {
+  // SQLite Cloud connection string from environment
+  // (use file:./pool.db for a local SQLite file instead)
+  sqliteCloudUrl: { env: 'SQLITECLOUD_URL', type: 'string', default: '', required: true, secret: true },
+  
+  // Path to live.txt file; may list several files or glob patterns separated
+  // by commas, earlier entries take precedence when merging
+  liveFilePath: { env: 'LIVE_FILE_PATH', type: 'string', default: './live.txt', required: true },
+  
+  // Retry settings
+  maxRetries: { env: 'MAX_RETRIES', type: 'integer', default: 3, min: 1 },
+  retryDelay: { env: 'RETRY_DELAY', type: 'integer', default: 5000, min: 0 }, // milliseconds
+  
+  // Logging: text or json lines on stderr, optionally copied to LOG_FILE,
+  // which is rotated at LOG_MAX_SIZE_MB keeping LOG_MAX_FILES old files
+  logLevel: { env: 'LOG_LEVEL', type: 'string', default: 'INFO', values: ['DEBUG', 'INFO', 'WARNING', 'ERROR'] },
+  logFormat: { env: 'LOG_FORMAT', type: 'string', default: 'text', values: ['text', 'json'] },
+  logFile: { env: 'LOG_FILE', type: 'string', default: '' },
+  logMaxSizeMb: { env: 'LOG_MAX_SIZE_MB', type: 'number', default: 10, min: 0 },
+  logMaxFiles: { env: 'LOG_MAX_FILES', type: 'integer', default: 5, min: 0 },
+  
+  // Batch size for large datasets
+  batchSize: { env: 'BATCH_SIZE', type: 'integer', default: 1000, min: 1 },
+  
+  // Input format: auto, pipe, ndjson, csv or list
+  inputFormat: {
+    env: 'INPUT_FORMAT',
+    type: 'string',
+    default: 'auto',
+    check: value => (value === 'auto' || listFormats().includes(value)
+      ? null
+      : `must be 'auto' or one of ${listFormats().join(', ')}, got '${value}'`)
+  },
+  
+  // mubeng --output fasttemplate used for the pipe format (empty = default 12-field template)
+  parserTemplate: { env: 'PARSER_TEMPLATE', type: 'string', default: '', check: value => value && parses(parseTemplate, value) },
+  
+  // Quarantine report for rejected lines (.jsonl or .csv, empty = disabled)
+  quarantineFile: { env: 'QUARANTINE_FILE', type: 'string', default: '' },
+  quarantineFormat: {
+    env: 'QUARANTINE_FORMAT',
+    type: 'string',
+    default: '',
+    check: value => (!value || ['jsonl', 'csv'].includes(value) ? null : `must be jsonl or csv, got '${value}'`)
+  },
+  
+  // Abort the sync when invalid lines exceed these thresholds (unset = no limit)
+  maxInvalidCount: { env: 'MAX_INVALID_COUNT', type: 'integer', default: null, min: 0 },
+  maxInvalidPercent: { env: 'MAX_INVALID_PERCENT', type: 'number', default: null, min: 0, max: 100 },
+  
+  // Mass-deletion guard: refuse to replace the pool when it, or any protocol /
+  // country group of at least GUARD_MIN_GROUP_SIZE rows, would shrink by more
+  // than this percentage (override per run with --force)
+  maxShrinkPercent: { env: 'MAX_SHRINK_PERCENT', type: 'number', default: 50, min: 0, max: 100 },
+  guardMinGroupSize: { env: 'GUARD_MIN_GROUP_SIZE', type: 'integer', default: 100, min: 0 },
+  
+  // Number of swapped-out pool tables kept for `npm run rollback`
+  backupRetention: { env: 'BACKUP_RETENTION', type: 'integer', default: 3, min: 0 },
+  
+  // Leftover pool_temp_* / unregistered pool_backup_* tables older than this
+  // are dropped at the start of every sync
+  orphanMaxAgeMinutes: { env: 'ORPHAN_MAX_AGE_MINUTES', type: 'integer', default: 60, min: 0 },
+  
+  // Daemon mode (npm run daemon): sync when the live files change (debounced)
+  // and/or every SYNC_INTERVAL seconds or on a SYNC_CRON schedule
+  watchLiveFile: { env: 'WATCH_LIVE_FILE', type: 'boolean', default: true },
+  watchDebounceMs: { env: 'WATCH_DEBOUNCE_MS', type: 'integer', default: 2000, min: 0 },
+  syncInterval: { env: 'SYNC_INTERVAL', type: 'integer', default: 0, min: 0 },
+  syncCron: { env: 'SYNC_CRON', type: 'string', default: '', check: value => value && parses(parseCron, value) },
+  
+  // Sync lock lease (renewed while a sync runs, taken over once expired) and
+  // how long a second runner waits for it before giving up (0 = exit at once)
+  lockLeaseSeconds: { env: 'SYNC_LOCK_LEASE', type: 'integer', default: 300, min: 1 },
+  lockWaitSeconds: { env: 'SYNC_LOCK_WAIT', type: 'integer', default: 0, min: 0 },
+  
+  // Read-only HTTP API (npm run api)
+  apiHost: { env: 'API_HOST', type: 'string', default: '127.0.0.1' },
+  apiPort: { env: 'API_PORT', type: 'integer', default: 8080, min: 0, max: 65535 },
+  
+  // Prometheus metrics: daemon /metrics port (0 = off, listens on API_HOST)
+  // and node_exporter textfile written after every sync
+  metricsPort: { env: 'METRICS_PORT', type: 'integer', default: 0, min: 0, max: 65535 },
+  metricsTextfile: { env: 'METRICS_TEXTFILE', type: 'string', default: '' },
+  
+  // Webhook notifications: comma-separated URLs, the events they receive
+  // (empty = all), payload format (auto, json, slack or discord), the pool
+  // size change that counts as significant, and delivery timeout / retries /
+  // total time budget per notification
+  webhookUrls: {
+    env: 'WEBHOOK_URLS',
+    type: 'list',
+    default: [],
+    secret: true,
+    check: urls => (urls.every(url => /^https?:\/\/[^/\s]+/.test(url)) ? null : 'must only contain http(s) URLs')
+  },
+  webhookEvents: {
+    env: 'WEBHOOK_EVENTS',
+    type: 'list',
+    default: [],
+    check: events => {
+      const unknownEvents = events.filter(event => !Object.values(NOTIFY_EVENTS).includes(event));
+      return unknownEvents.length > 0
+        ? `has unknown events: ${unknownEvents.join(', ')} (expected ${Object.values(NOTIFY_EVENTS).join(', ')})`
+        : null;
+    }
+  },
+  webhookFormat: {
+    env: 'WEBHOOK_FORMAT',
+    type: 'string',
+    default: 'auto',
+    check: value => (value === 'auto' || listWebhookFormats().includes(value)
+      ? null
+      : `must be 'auto' or one of ${listWebhookFormats().join(', ')}, got '${value}'`)
+  },
+  poolChangeAlertPercent: { env: 'POOL_CHANGE_ALERT_PERCENT', type: 'number', default: 20, min: 0 },
+  webhookTimeoutMs: { env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', default: 5000, min: 1 },
+  webhookRetries: { env: 'WEBHOOK_RETRIES', type: 'integer', default: 2, min: 0 },
+  webhookBudgetMs: { env: 'WEBHOOK_BUDGET_MS', type: 'integer', default: 10000, min: 1 },
+  
+  // Health check thresholds (0 = check off) and the status each failed check
+  // reports: HEALTH_SEVERITIES=live_file_age=warning,schema_drift=error,...
+  liveFileMaxAgeMinutes: { env: 'LIVE_FILE_MAX_AGE_MINUTES', type: 'number', default: 30, min: 0 },
+  poolMaxAgeMinutes: { env: 'POOL_MAX_AGE_MINUTES', type: 'number', default: 60, min: 0 },
+  poolMinSize: { env: 'POOL_MIN_SIZE', type: 'integer', default: 1, min: 0 },
+  healthSeverities: {
+    env: 'HEALTH_SEVERITIES',
+    type: 'map',
+    default: {
+      live_file_age: 'warning',
+      pool_freshness: 'unhealthy',
+      pool_size: 'unhealthy',
+      schema_drift: 'warning'
+    },
+    check: severities => {
+      for (const [check, severity] of Object.entries(severities)) {
+        if (!SEVERITY_CHECKS.includes(check)) {
+          return `has unknown check '${check}' (expected ${SEVERITY_CHECKS.join(', ')})`;
+        }
+        if (!SEVERITIES.includes(severity)) {
+          return `${check} must be one of ${SEVERITIES.join(', ')}, got '${severity}'`;
+        }
+      }
+      return null;
+    }
+  },
+  
+  // Sync strategy: 'swap' (full table replacement) or 'incremental' (diff-based)
+  syncMode: { env: 'SYNC_MODE', type: 'string', default: 'swap', values: ['swap', 'incremental'] }
+};
+
+/**
+ * CLI flag of a setting: BATCH_SIZE -> --batch-size
+ */
+export function settingFlag(setting) {
+  return `--${setting.env.toLowerCase().replace(/_/g, '-')}`;
+}
+
+/**
+ * Convert a raw value, a string from the environment / CLI or any JSON value
+ * from a config file, to the type of a setting
+ * Throws an Error whose message completes "<NAME> ..." when it does not fit
+ */
+export function parseSetting(setting, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  const got = `got ${JSON.stringify(raw)}`;
+  
+  switch (setting.type) {
+    case 'integer':
+      if (typeof text === 'number' ? Number.isInteger(text) : /^-?\d+$/.test(text)) {
+        return Number(text);
+      }
+      throw new Error(`must be an integer, ${got}`);
+    
+    case 'number':
+      if (typeof text === 'number' || (typeof text === 'string' && text !== '' && Number.isFinite(Number(text)))) {
+        return Number(text);
+      }
+      throw new Error(`must be a number, ${got}`);
+    
+    case 'boolean':
+      if (typeof text === 'boolean') {
+        return text;
+      }
+      if (/^(true|yes|1)$/i.test(text)) {
+        return true;
+      }
+      if (/^(false|no|0)$/i.test(text)) {
+        return false;
+      }
+      throw new Error(`must be true or false, ${got}`);
+    
+    case 'list':
+      if (Array.isArray(text)) {
+        return text.map(item => String(item).trim()).filter(Boolean);
+      }
+      if (typeof text === 'string') {
+        return text.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      throw new Error(`must be a comma-separated list, ${got}`);
+    
+    case 'map': {
+      if (text !== null && typeof text === 'object' && !Array.isArray(text)) {
+        return { ...setting.default, ...Object.fromEntries(Object.entries(text).map(([key, value]) => [key, String(value)])) };
+      }
+      
+      const entries = typeof text === 'string' ? text.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+      if (!entries || entries.some(entry => !/^[^=]+=[^=]+$/.test(entry))) {
+        throw new Error(`must be comma-separated key=value pairs, ${got}`);
+      }
+      return { ...setting.default, ...Object.fromEntries(entries.map(entry => entry.split('=').map(part => part.trim()))) };
+    }
+    
+    default:
+      if (typeof text === 'object' && text !== null) {
+        throw new Error(`must be a string, ${got}`);
+      }
+      return String(text);
+  }
+}
+
+/**
+ * Validate parsed configuration values against the schema
+ * Returns one message per problem (empty = valid)
+ */
+export function checkConfig(values) {
+  const errors = [];
+  
+  for (const [key, setting] of Object.entries(CONFIG_SCHEMA)) {
+    const value = values[key];
+    
+    if (setting.required && (value === undefined || value === null || value === '')) {
+      errors.push(`${setting.env} is required`);
+      continue;
+    }
+    
+    if (value === undefined || value === null) {
+      continue;
+    }
+    
+    if (setting.values && !setting.values.includes(value)) {
+      errors.push(`${setting.env} must be one of ${setting.values.join(', ')}, got '${value}'`);
+    }
+    
+    const belowMin = setting.min !== undefined && value < setting.min;
+    const aboveMax = setting.max !== undefined && value > setting.max;
+    if (belowMin || aboveMax) {
+      errors.push(setting.max === undefined
+        ? `${setting.env} must be at least ${setting.min}, got ${value}`
+        : `${setting.env} must be between ${setting.min} and ${setting.max}, got ${value}`);
+    }
+    
+    const message = setting.check?.(value, values);
+    if (message) {
+      errors.push(`${setting.env} ${message}`);
+    }
+  }
+  
+  return errors;
+}
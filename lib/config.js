@@ -1,8 +1,17 @@
 import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { join, resolve } from 'path';
+import { validateRecord } from './validation.js';
+import { Logger, openLogFile } from './logger.js';
+import { CONFIG_SCHEMA, checkConfig, parseSetting, settingFlag } from './config-schema.js';
+
+export { Logger };
+
+// Variables set by the .env file, reported as their own source
+const dotenvKeys = new Set();
 
 /**
  * Load environment variables from .env file
+ * Variables already set in the environment are left alone
  */
 function loadEnv() {
   const envPath = join(process.cwd(), '.env');
@@ -16,11 +25,12 @@ function loadEnv() {
         const trimmedLine = line.trim();
         if (trimmedLine && !trimmedLine.startsWith('#')) {
           const [key, ...valueParts] = trimmedLine.split('=');
-          if (key && valueParts.length > 0) {
+          if (key && valueParts.length > 0 && process.env[key.trim()] === undefined) {
             const value = valueParts.join('=').trim();
             // Remove quotes if present
             const cleanValue = value.replace(/^["']|["']$/g, '');
             process.env[key.trim()] = cleanValue;
+            dotenvKeys.add(key.trim());
           }
         }
       }
@@ -33,54 +43,164 @@ function loadEnv() {
   }
 }
 
-// Load environment variables
-loadEnv();
+/**
+ * Whether a setting value counts as given; an empty string (or a null in the
+ * config file) is unset in every layer, so `FOO=` or `--foo=` falls through
+ * to the next one
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
 
 /**
- * Configuration for proxy synchronization
+ * Split the command line into config overrides (--batch-size=500 or
+ * --batch-size 500), the config file (--config=path) and the arguments left
+ * for the script
  */
-export const config = {
-  // SQLite Cloud connection string from environment
-  sqliteCloudUrl: process.env.SQLITECLOUD_URL || '',
+function splitArgs(argv) {
+  const flags = new Map(Object.entries(CONFIG_SCHEMA).map(([key, setting]) => [settingFlag(setting), key]));
+  const overrides = {};
+  const rest = [];
+  const errors = [];
+  let file = null;
   
-  // Path to live.txt file
-  liveFilePath: process.env.LIVE_FILE_PATH || './live.txt',
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    let value = inlineValue;
+    
+    if (flag !== '--config' && !flags.has(flag)) {
+      rest.push(argv[i]);
+      continue;
+    }
+    
+    if (value === undefined) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        errors.push(`${flag} needs a value`);
+        continue;
+      }
+      value = argv[++i];
+    }
+    
+    if (flag === '--config') {
+      file = value;
+    } else {
+      overrides[flags.get(flag)] = value;
+    }
+  }
+  
+  return { overrides, file, rest, errors };
+}
+
+/**
+ * Read the JSON config file: an object of config keys, e.g. { "batchSize": 500 }
+ */
+function readConfigFile(filePath) {
+  const values = JSON.parse(readFileSync(filePath, 'utf-8'));
   
-  // Retry settings
-  maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
-  retryDelay: parseInt(process.env.RETRY_DELAY || '5000'), // milliseconds
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('must contain a JSON object');
+  }
   
-  // Logging
-  logLevel: process.env.LOG_LEVEL || 'INFO',
+  const unknownKeys = Object.keys(values).filter(key => !(key in CONFIG_SCHEMA));
+  if (unknownKeys.length > 0) {
+    throw new Error(`unknown settings: ${unknownKeys.join(', ')}`);
+  }
   
-  // Batch size for large datasets
-  batchSize: parseInt(process.env.BATCH_SIZE || '1000'),
-};
+  return values;
+}
+
+// Load environment variables
+loadEnv();
+
+const cli = splitArgs(process.argv.slice(2));
+
+// Problems found while loading; reported by validateConfig()
+const loadErrors = [...cli.errors];
 
 /**
- * Logger utility
+ * JSON config file from --config=path or CONFIG_FILE (null = none)
  */
-export class Logger {
-  constructor(level = 'INFO') {
-    this.level = level;
-    this.levels = { DEBUG: 0, INFO: 1, WARNING: 2, ERROR: 3 };
+export const configFile = isSet(cli.file) ? resolve(cli.file) : isSet(process.env.CONFIG_FILE) ? resolve(process.env.CONFIG_FILE) : null;
+
+let fileValues = {};
+if (configFile) {
+  try {
+    fileValues = readConfigFile(configFile);
+  } catch (error) {
+    loadErrors.push(`Config file ${configFile}: ${error.message}`);
   }
+}
+
+/**
+ * Command-line arguments with the config overrides removed
+ */
+export const scriptArgs = cli.rest;
+
+/**
+ * Configuration for proxy synchronization, see CONFIG_SCHEMA in
+ * config-schema.js for every setting
+ * Precedence: CLI flag > environment (then .env) > config file > default
+ */
+export const config = {};
+
+/**
+ * Where each config value came from: cli, env, .env, file or default
+ */
+export const configSources = {};
+
+for (const [key, setting] of Object.entries(CONFIG_SCHEMA)) {
+  let source = 'default';
+  let raw;
+  let name;
   
-  log(level, message, ...args) {
-      if (this.levels[level] >= this.levels[this.level]) {
-          const now = new Date();
-          const timestamp = now.toTimeString().split(' ')[0]; // HH:MM:SS format
-          const formattedArgs = args.length > 0 ? ' ' + args.map(arg => 
-              typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-          ).join(' ') : '';
-          process.stderr.write(`[${timestamp}] ${level}: ${message}${formattedArgs}\n`);
-      }
+  if (isSet(cli.overrides[key])) {
+    [source, raw, name] = ['cli', cli.overrides[key], settingFlag(setting)];
+  } else if (isSet(process.env[setting.env])) {
+    [source, raw, name] = [dotenvKeys.has(setting.env) ? '.env' : 'env', process.env[setting.env], setting.env];
+  } else if (isSet(fileValues[key])) {
+    [source, raw, name] = ['file', fileValues[key], `${key} in ${configFile}`];
   }
   
-  debug(message, ...args) { this.log('DEBUG', message, ...args); }
-  info(message, ...args) { this.log('INFO', message, ...args); }
-  warn(message, ...args) { this.log('WARNING', message, ...args); }
-  error(message, ...args) { this.log('ERROR', message, ...args); }
+  config[key] = structuredClone(setting.default);
+  configSources[key] = 'default';
+  
+  if (source !== 'default') {
+    try {
+      config[key] = parseSetting(setting, raw);
+      configSources[key] = source;
+    } catch (error) {
+      loadErrors.push(`${name} ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Configuration errors: values that could not be loaded, then the schema
+ * checks of `values` (config itself, or a copy with per-run overrides)
+ */
+export function validateConfig(values = config) {
+  return [...loadErrors, ...checkConfig(values)];
+}
+
+/**
+ * Errors for the command-line flags that are neither settings nor one of the
+ * script's own `flags`; a trailing = marks a flag taking a value ('--max-age=')
+ */
+export function checkScriptFlags(flags = []) {
+  return scriptArgs
+    .filter(arg => arg.startsWith('--'))
+    .filter(arg => !flags.includes(arg) && !flags.some(flag => flag.endsWith('=') && arg.startsWith(flag)))
+    .map(arg => `Unknown option ${arg.split('=')[0]}`);
+}
+
+/**
+ * Logger configured from LOG_LEVEL, LOG_FORMAT and LOG_FILE for a component
+ */
+export function createLogger(component = null) {
+  const sink = config.logFile
+    ? openLogFile(config.logFile, { maxBytes: config.logMaxSizeMb * 1024 * 1024, maxFiles: config.logMaxFiles })
+    : null;
+  return new Logger(config.logLevel, { format: config.logFormat, component, sink });
 }
 
 /**
@@ -91,7 +211,7 @@ export class ProxyRecord {
     this.proxy = data.proxy;
     this.protocol = data.protocol;
     this.host = data.host;
-    this.port = parseInt(data.port);
+    this.port = /^\s*\d+\s*$/.test(String(data.port)) ? parseInt(data.port, 10) : NaN;
     this.ip = data.ip;
     this.country = data.country;
     this.city = data.city;
@@ -100,6 +220,9 @@ export class ProxyRecord {
     this.timezone = data.timezone;
     this.loc = data.loc;
     this.hostname = data.hostname;
+    
+    // Comma-separated list of live sources that produced this proxy
+    this.source = data.source ?? null;
   }
   
   /**
@@ -109,15 +232,55 @@ export class ProxyRecord {
     return [
       this.proxy, this.protocol, this.host, this.port, this.ip,
       this.country, this.city, this.org, this.region, this.timezone,
-      this.loc, this.hostname
+      this.loc, this.hostname, this.source
     ];
   }
   
+  /**
+   * Add a live source to this record's source list
+   */
+  addSource(source) {
+    const sources = this.source ? this.source.split(',') : [];
+    if (source && !sources.includes(source)) {
+      sources.push(source);
+      this.source = sources.join(',');
+    }
+  }
+  
+  /**
+   * Normalize parsed fields in place: trim text, lowercase protocol and host,
+   * uppercase country and strip spaces from loc
+   */
+  normalize() {
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+    
+    this.proxy = text(this.proxy).replace(/^[a-z][a-z0-9+.-]*:\/\//i, scheme => scheme.toLowerCase());
+    this.protocol = text(this.protocol).toLowerCase();
+    this.host = text(this.host).replace(/^\[|\]$/g, '').toLowerCase();
+    this.ip = text(this.ip).toLowerCase();
+    this.country = text(this.country).toUpperCase();
+    this.city = text(this.city);
+    this.org = text(this.org);
+    this.region = text(this.region);
+    this.timezone = text(this.timezone);
+    this.loc = text(this.loc).replace(/\s+/g, '');
+    this.hostname = text(this.hostname);
+    return this;
+  }
+  
   /**
    * Validate record data
+   * Returns { valid: true } or { valid: false, reason, message } with a
+   * machine-readable reason code (see REJECTION_REASONS in validation.js)
+   */
+  validate() {
+    return validateRecord(this);
+  }
+  
+  /**
+   * Check whether the record passes validation
    */
   isValid() {
-    return this.proxy && this.protocol && this.host && 
-           !isNaN(this.port) && this.ip;
+    return this.validate().valid;
   }
 }
@@ -0,0 +1,201 @@
+import { watch } from 'fs';
+import { join } from 'path';
+import { Logger } from './config.js';
+import { sourceWatchTargets } from './sources.js';
+import { parseCron, nextCronTime } from './schedule.js';
+import { SYNC_OUTCOMES } from './sync-engine.js';
+import { serveMetrics } from './metrics.js';
+
+// setTimeout() cannot wait longer than 2^31-1 ms; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Long-running wrapper around ProxySyncEngine
+ *
+ * Syncs once at startup, then whenever the live files change (debounced)
+ * and/or on a fixed interval or cron schedule. Triggers that arrive during a
+ * sync are coalesced into one follow-up run. The database connection and the
+ * engine's in-memory stats are kept across runs. With METRICS_PORT set, the
+ * engine's metrics are served on /metrics.
+ */
+export class SyncDaemon {
+  constructor(engine, config, logger = new Logger()) {
+    this.engine = engine;
+    this.config = config;
+    this.logger = logger.child('daemon');
+    this.cron = config.syncCron ? parseCron(config.syncCron) : null;
+    this.watchers = [];
+    this.metricsServer = null;
+    this.debounceTimer = null;
+    this.scheduleTimer = null;
+    this.nextRunAt = null;
+    this.running = null;
+    this.pendingReason = null;
+    this.stopped = false;
+  }
+  
+  /**
+   * Connect, run the initial sync and start watching / scheduling
+   */
+  async start() {
+    if (this.cron && this.config.syncInterval > 0) {
+      throw new Error('Set either SYNC_INTERVAL or SYNC_CRON, not both');
+    }
+    
+    if (!this.config.watchLiveFile && !this.cron && !(this.config.syncInterval > 0)) {
+      throw new Error('Nothing to wait for: enable WATCH_LIVE_FILE or set SYNC_INTERVAL / SYNC_CRON');
+    }
+    
+    if (!(await this.engine.open())) {
+      throw new Error('Failed to connect to database');
+    }
+    
+    if (this.config.metricsPort > 0) {
+      this.metricsServer = await serveMetrics(this.engine.metrics, {
+        port: this.config.metricsPort,
+        host: this.config.apiHost,
+        refresh: () => this.engine.dbClient.healthCheck(this.engine.metrics),
+        logger: this.logger
+      });
+    }
+    
+    if (this.config.watchLiveFile) {
+      this.watchSources();
+    }
+    this.scheduleNext();
+    this.trigger('startup');
+  }
+  
+  /**
+   * Watch the directories of the live sources for changes to matching files
+   */
+  watchSources() {
+    for (const target of sourceWatchTargets(this.config.liveFilePath)) {
+      try {
+        const watcher = watch(target.directory, (eventType, fileName) => {
+          if (fileName && target.matches(fileName)) {
+            this.debounce(`${eventType} of ${join(target.directory, fileName)}`);
+          }
+        });
+        watcher.on('error', error => this.logger.warn(`Stopped watching ${target.directory}: ${error.message}`));
+        this.watchers.push(watcher);
+        this.logger.info(`Watching ${target.directory} for live file changes`);
+      } catch (error) {
+        this.logger.warn(`Cannot watch ${target.directory}: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Trigger a sync once no further change arrived for WATCH_DEBOUNCE_MS
+   */
+  debounce(reason) {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.trigger(reason), this.config.watchDebounceMs);
+  }
+  
+  /**
+   * Arm the timer for the next interval / cron run
+   */
+  scheduleNext() {
+    if (this.stopped || (!this.cron && !(this.config.syncInterval > 0))) {
+      return;
+    }
+    
+    if (this.nextRunAt === null || this.nextRunAt <= Date.now()) {
+      this.nextRunAt = this.cron
+        ? nextCronTime(this.cron).getTime()
+        : Date.now() + this.config.syncInterval * 1000;
+      this.logger.debug(`Next scheduled sync at ${new Date(this.nextRunAt).toISOString()}`);
+    }
+    
+    const delay = Math.min(Math.max(this.nextRunAt - Date.now(), 0), MAX_TIMER_DELAY);
+    this.scheduleTimer = setTimeout(() => {
+      if (Date.now() >= this.nextRunAt) {
+        this.trigger('schedule');
+      }
+      this.scheduleNext();
+    }, delay);
+  }
+  
+  /**
+   * Start a sync now, or once the running one has finished
+   */
+  trigger(reason) {
+    if (this.stopped) {
+      return;
+    }
+    
+    if (this.running) {
+      this.logger.debug(`Sync already running, queued follow-up run (${reason})`);
+      this.pendingReason = reason;
+      return;
+    }
+    
+    this.running = this.runSync(reason).finally(() => {
+      this.running = null;
+      
+      if (this.pendingReason) {
+        const nextReason = this.pendingReason;
+        this.pendingReason = null;
+        this.trigger(nextReason);
+      }
+    });
+  }
+  
+  /**
+   * Run one sync on the shared connection
+   */
+  async runSync(reason) {
+    this.logger.info(`=== Daemon sync triggered by ${reason} ===`);
+    
+    try {
+      if (!(await this.engine.open())) {
+        this.logger.error('Failed to reconnect to database, waiting for the next trigger');
+        return;
+      }
+      
+      const result = await this.engine.sync();
+      
+      // A failure may have left the connection unusable: reconnect next time
+      if (result.outcome === SYNC_OUTCOMES.FAILED) {
+        await this.engine.close();
+      }
+      
+      const { totalSyncs, successfulSyncs, failedSyncs } = this.engine.stats;
+      this.logger.info(`Daemon sync ${result.outcome}`, { runId: result.runId, totalSyncs, successfulSyncs, failedSyncs });
+      
+    } catch (error) {
+      this.logger.error(`Daemon sync error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Stop watching, scheduling and serving metrics, wait for a running sync
+   * and disconnect
+   */
+  async stop() {
+    this.stopped = true;
+    this.pendingReason = null;
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.scheduleTimer);
+    
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    
+    if (this.metricsServer) {
+      this.metricsServer.close();
+      this.metricsServer.closeIdleConnections();
+      this.metricsServer = null;
+    }
+    
+    if (this.running) {
+      this.logger.info('Waiting for the running sync to finish...');
+      await this.running;
+    }
+    
+    await this.engine.close();
+  }
+}
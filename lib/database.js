@@ -1,61 +1,137 @@
 import { Database } from '@sqlitecloud/drivers';
+import { fileURLToPath } from 'url';
 import { Logger } from './config.js';
+import { MigrationRunner } from './migrations.js';
+
+// Data columns of the pool table, in ProxyRecord.toArray() order
+export const POOL_COLUMNS = [
+  'proxy', 'protocol', 'host', 'port', 'ip', 'country', 'city',
+  'org', 'region', 'timezone', 'loc', 'hostname', 'source'
+];
+
+// SQLite's default SQLITE_MAX_VARIABLE_NUMBER since 3.32.0; multi-row
+// statements are sized so rows * columns never exceeds it
+const SQLITE_MAX_VARIABLES = 32766;
+const ROWS_PER_STATEMENT = Math.floor(SQLITE_MAX_VARIABLES / POOL_COLUMNS.length);
+
+// Pool rows joined with their sync history, and the derived uptime ratio
+const POOL_WITH_HISTORY = 'pool LEFT JOIN proxy_history h ON h.proxy = pool.proxy';
+const UPTIME_RATIO_SQL = 'CAST(h.seen_count AS REAL) / (h.seen_count + h.missed_count)';
 
 /**
- * SQLite Cloud database client
+ * History columns added to queryProxies() rows with `history`
+ */
+export const HISTORY_COLUMNS = ['first_seen', 'last_seen', 'seen_count', 'missed_count', 'uptime_ratio'];
+
+/**
+ * Orders accepted by queryProxies(): by proxy URL, or most stable first
+ */
+export const PROXY_SORT_ORDERS = ['proxy', 'uptime'];
+
+// Error codes of failures that may pass on a retry: dropped or timed-out
+// connections (SQLite Cloud driver and Node network errors) and a busy database
+const TRANSIENT_ERROR_CODES = new Set([
+  'ERR_CONNECTION_ERROR', 'ERR_CONNECTION_ENDED', 'ERR_CONNECTION_CLOSED',
+  'ERR_CONNECTION_TIMEOUT', 'ERR_CONNECTION_NOT_ESTABLISHED',
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'SQLITE_BUSY', 'SQLITE_LOCKED'
+]);
+
+/**
+ * Whether an error is worth retrying: an explicit `retryable` flag wins,
+ * otherwise only transient database and network errors are retried
+ * (parse, validation and SQL errors would fail the same way again)
+ */
+export function isTransientError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return error.retryable;
+  }
+  
+  const codes = [error?.errorCode, error?.code, error?.cause?.code].map(code => String(code ?? '').replace(/^(SQLITE_(?:BUSY|LOCKED))_.*/, '$1'));
+  return codes.some(code => TRANSIENT_ERROR_CODES.has(code)) || /database is (locked|busy)/i.test(error?.message ?? '');
+}
+
+/**
+ * Raised when the mass-deletion guard refuses to replace the pool
+ * Never retried: the same input would be refused again
+ */
+export class SwapRefusedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SwapRefusedError';
+    this.details = details;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Count records in total and per protocol / country
+ */
+export function distributionFromRecords(records) {
+  const distribution = { total: 0, protocol: {}, country: {} };
+  
+  for (const record of records) {
+    distribution.total++;
+    distribution.protocol[record.protocol] = (distribution.protocol[record.protocol] || 0) + 1;
+    const country = record.country || '';
+    distribution.country[country] = (distribution.country[country] || 0) + 1;
+  }
+  
+  return distribution;
+}
+
+/**
+ * Compare the current and next pool distributions
+ * Returns a description of every total/protocol/country group that would
+ * shrink by more than maxShrinkPercent (groups smaller than minGroupSize are
+ * ignored), worst first
  */
-export class SQLiteCloudClient {
-  constructor(connectionString, logger = new Logger()) {
+export function findShrinkViolations(current, next, { maxShrinkPercent, minGroupSize = 0 }) {
+  const shrinkPercent = (before, after) => ((before - after) / before) * 100;
+  const violations = [];
+  
+  if (current.total > 0 && shrinkPercent(current.total, next.total) > maxShrinkPercent) {
+    violations.push({
+      group: 'total',
+      before: current.total,
+      after: next.total,
+      shrinkPercent: shrinkPercent(current.total, next.total)
+    });
+  }
+  
+  for (const dimension of ['protocol', 'country']) {
+    for (const [key, before] of Object.entries(current[dimension])) {
+      const after = next[dimension][key] || 0;
+      if (before >= minGroupSize && shrinkPercent(before, after) > maxShrinkPercent) {
+        violations.push({ group: `${dimension} ${key || '(none)'}`, before, after, shrinkPercent: shrinkPercent(before, after) });
+      }
+    }
+  }
+  
+  return violations.sort((a, b) => b.shrinkPercent - a.shrinkPercent);
+}
+
+/**
+ * Base database client shared by all storage backends
+ *
+ * Subclasses implement connect() and assign `this.db` to a handle exposing
+ * the same `sql()` / `exec()` / `close()` surface as the @sqlitecloud/drivers
+ * Database. With `readOnly` the connection must refuse writes and connect()
+ * must not create or migrate anything.
+ */
+export class DatabaseClient {
+  constructor(connectionString, logger = new Logger(), { readOnly = false } = {}) {
     this.connectionString = connectionString;
-    this.logger = logger;
+    this.logger = logger.child('database');
+    this.readOnly = readOnly;
     this.db = null;
   }
   
   /**
-   * Connect to SQLite Cloud database
+   * Connect to the database
    */
   async connect() {
-    try {
-      this.logger.debug('Connecting to SQLite Cloud...');
-      this.logger.debug(`Connection string: ${this.connectionString.replace(/apikey=[^&]+/, 'apikey=***')}`);
-      
-      // Create database instance
-      this.db = new Database(this.connectionString);
-      
-      // Wait a bit for connection to establish
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Test connection with a simple query
-      const result = await this.db.sql`SELECT 1 as test`;
-      this.logger.debug(`Connection test result: ${JSON.stringify(result)}`);
-      this.logger.info('Connected to SQLite Cloud successfully');
-      return true;
-      
-    } catch (error) {
-      this.logger.error(`Database connection failed: ${error.message}`);
-      this.logger.error(`Error code: ${error.errorCode || 'Unknown'}`);
-      
-      // Check if it's a connection string issue
-      if (error.message.includes('Connection error') || error.errorCode === 'ERR_CONNECTION_ERROR') {
-        this.logger.error('Possible issues:');
-        this.logger.error('1. Check your SQLite Cloud connection string');
-        this.logger.error('2. Verify your API key is correct');
-        this.logger.error('3. Ensure your cluster is running');
-        this.logger.error('4. Check network connectivity');
-      }
-      
-      // Cleanup on failed connection
-      if (this.db) {
-        try {
-          await this.db.close();
-        } catch (closeError) {
-          this.logger.debug(`Error closing failed connection: ${closeError.message}`);
-        }
-        this.db = null;
-      }
-      
-      return false;
-    }
+    throw new Error(`${this.constructor.name} does not implement connect()`);
   }
   
   /**
@@ -73,14 +149,35 @@ export class SQLiteCloudClient {
     }
   }
   
+  /**
+   * Run a multi-statement SQL script
+   */
+  async execScript(sql) {
+    await new Promise((resolve, reject) => {
+      this.db.exec(sql, error => (error ? reject(error) : resolve()));
+    });
+  }
+  
+  /**
+   * Apply pending schema migrations
+   */
+  async migrate() {
+    return new MigrationRunner(this, this.logger).up();
+  }
+  
   /**
    * Execute query with retry logic
+   * Only transient errors (see isTransientError) are retried
    */
   async executeWithRetry(queryFn, maxRetries = 3, delay = 5000) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await queryFn();
       } catch (error) {
+        if (!isTransientError(error)) {
+          throw error;
+        }
+        
         this.logger.warn(`Query attempt ${attempt} failed: ${error.message}`);
         
         if (attempt === maxRetries) {
@@ -97,104 +194,159 @@ export class SQLiteCloudClient {
   }
   
   /**
-   * Swap-based sync to avoid downtime during proxy updates
-   * Uses a temporary table to stage new data, then atomically swaps tables
+   * Drop duplicate proxies from input data, keeping the first occurrence
+   * The sources of dropped duplicates are merged into the kept record
    */
-  async syncProxiesWithSwap(records, batchSize = 1000) {
-    if (!records || records.length === 0) {
-      this.logger.info('No records to sync');
-      return 0;
-    }
-
-    // Check for duplicates in the input data first
-    const uniqueProxies = new Set();
+  removeDuplicates(records) {
+    const uniqueProxies = new Map();
     const duplicatesFound = [];
     const cleanRecords = [];
     
     for (const record of records) {
-      if (uniqueProxies.has(record.proxy)) {
+      const existing = uniqueProxies.get(record.proxy);
+      if (existing) {
         duplicatesFound.push(record.proxy);
+        existing.addSource(record.source);
       } else {
-        uniqueProxies.add(record.proxy);
+        uniqueProxies.set(record.proxy, record);
         cleanRecords.push(record);
       }
     }
-
+    
     if (duplicatesFound.length > 0) {
       this.logger.warn(`Found ${duplicatesFound.length} duplicate proxies in input data, using first occurrence only`);
       this.logger.debug(`Duplicate proxies: ${duplicatesFound.slice(0, 5).join(', ')}${duplicatesFound.length > 5 ? '...' : ''}`);
     }
+    
+    return cleanRecords;
+  }
+  
+  /**
+   * Insert records with multi-row VALUES statements, one round-trip per
+   * ROWS_PER_STATEMENT records. `suffix` is appended to every statement
+   * (e.g. an ON CONFLICT clause). Returns the number of statements sent.
+   */
+  async insertRows(tableName, records, suffix = '') {
+    const placeholders = `(${POOL_COLUMNS.map(() => '?').join(', ')})`;
+    let statements = 0;
+    
+    for (let i = 0; i < records.length; i += ROWS_PER_STATEMENT) {
+      const chunk = records.slice(i, i + ROWS_PER_STATEMENT);
+      const insertSQL = `
+        INSERT INTO ${tableName} (${POOL_COLUMNS.join(', ')})
+        VALUES ${chunk.map(() => placeholders).join(', ')}
+        ${suffix}
+      `;
+      await this.db.sql(insertSQL, ...chunk.flatMap(record => record.toArray()));
+      statements++;
+    }
+    
+    return statements;
+  }
+  
+  /**
+   * Insert one batch of records into a table inside a transaction
+   * Returns the number of INSERT statements sent
+   */
+  async insertBatch(tableName, batch, suffix = '') {
+    await this.db.sql`BEGIN TRANSACTION`;
+    
+    try {
+      const statements = await this.insertRows(tableName, batch, suffix);
+      await this.db.sql`COMMIT`;
+      return statements;
+      
+    } catch (error) {
+      await this.db.sql`ROLLBACK`;
+      throw error;
+    }
+  }
+  
+  /**
+   * Swap-based sync to avoid downtime during proxy updates
+   * Uses a temporary table to stage new data, then atomically swaps tables
+   *
+   * `records` may be an array or any re-iterable async source such as
+   * ProxyParser.streamFile(); records are staged batch by batch as they arrive.
+   * The pool is left untouched when the source yields no records, or when
+   * `guard` ({ maxShrinkPercent, minGroupSize, force }) refuses the swap.
+   */
+  async syncProxiesWithSwap(records, batchSize = 1000, guard = null, backupRetention = 0) {
+    if (!records || records.length === 0) {
+      this.logger.info('No records to sync');
+      return 0;
+    }
 
-    this.logger.info(`Syncing ${cleanRecords.length} unique proxy records using swap strategy...`);
+    this.logger.info('Syncing proxy records using swap strategy...');
     
     return this.executeWithRetry(async () => {
       const tempTableName = 'pool_temp_' + Date.now();
       
       try {
-        // Create temporary table with same structure as pool
-        this.logger.debug(`Creating temporary table: ${tempTableName}`);
-        const createTableSQL = `
-          CREATE TABLE ${tempTableName} (
-            proxy TEXT PRIMARY KEY,
-            protocol TEXT NOT NULL,
-            host TEXT NOT NULL,
-            port INTEGER NOT NULL,
-            ip TEXT NOT NULL,
-            country TEXT,
-            city TEXT,
-            org TEXT,
-            region TEXT,
-            timezone TEXT,
-            loc TEXT,
-            hostname TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `;
-        await this.db.sql(createTableSQL);
+        // Create temporary table from the current pool schema
+        const schema = await this.getPoolSchema();
+        await this.createStagingTable(tempTableName, schema);
 
-        // Insert data into temporary table in batches
-        for (let i = 0; i < cleanRecords.length; i += batchSize) {
-          const batch = cleanRecords.slice(i, i + batchSize);
-          this.logger.debug(`Inserting batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(cleanRecords.length/batchSize)} into temp table (${batch.length} records)`);
-          
-          await this.db.sql`BEGIN TRANSACTION`;
+        // Insert data into temporary table in batches as records arrive.
+        // Duplicates keep the first occurrence's fields; the upsert only
+        // appends their source to the staged row's source list
+        const mergeSourceSuffix = `
+          ON CONFLICT(proxy) DO UPDATE SET source = CASE
+            WHEN excluded.source IS NULL OR instr(',' || COALESCE(source, '') || ',', ',' || excluded.source || ',') > 0 THEN source
+            ELSE COALESCE(source || ',', '') || excluded.source
+          END
+        `;
+        const stagingStart = Date.now();
+        let batch = [];
+        let batchNumber = 0;
+        let statements = 0;
+        let stagedCount = 0;
+        
+        const flushBatch = async () => {
+          batchNumber++;
+          this.logger.debug(`Inserting batch ${batchNumber} into temp table (${batch.length} records)`);
+          statements += await this.insertBatch(tempTableName, batch, mergeSourceSuffix);
+          batch = [];
+        };
+        
+        for await (const record of records) {
+          batch.push(record);
+          stagedCount++;
           
-          try {
-            for (const record of batch) {
-              const insertSQL = `
-                INSERT INTO ${tempTableName} (
-                  proxy, protocol, host, port, ip, country, city, org, region, timezone, loc, hostname
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-              `;
-              await this.db.sql(insertSQL, 
-                record.proxy, record.protocol, record.host, record.port,
-                record.ip, record.country, record.city, record.org,
-                record.region, record.timezone, record.loc, record.hostname
-              );
-            }
-            
-            await this.db.sql`COMMIT`;
-            
-          } catch (error) {
-            await this.db.sql`ROLLBACK`;
-            throw error;
+          if (batch.length >= batchSize) {
+            await flushBatch();
           }
         }
+        
+        if (batch.length > 0) {
+          await flushBatch();
+        }
+        
+        if (stagedCount === 0) {
+          this.logger.info('No records to sync');
+          await this.db.sql(`DROP TABLE IF EXISTS ${tempTableName}`);
+          return 0;
+        }
 
-        // Verify temp table has correct count
+        // The proxy primary key deduplicated the staged rows
         const tempCountSQL = `SELECT COUNT(*) as count FROM ${tempTableName}`;
         const tempCountResult = await this.db.sql(tempCountSQL);
         const tempCount = tempCountResult[0]?.count || 0;
         
-        if (tempCount !== cleanRecords.length) {
-          throw new Error(`Temp table count mismatch: expected ${cleanRecords.length}, got ${tempCount}`);
+        if (stagedCount > tempCount) {
+          this.logger.warn(`Found ${stagedCount - tempCount} duplicate proxies in input data, using first occurrence only`);
         }
 
+        const stagingMs = Date.now() - stagingStart;
+        const recordsPerSecond = Math.round(tempCount / Math.max(stagingMs, 1) * 1000);
         this.logger.info(`Successfully staged ${tempCount} records in temporary table`);
+        this.logger.info(`Staging took ${stagingMs}ms using ${statements} INSERT statements in ${batchNumber} batches (${recordsPerSecond} records/s)`);
+        
+        await this.guardAgainstMassDeletion(await this.getTableDistribution(tempTableName), guard);
 
         // Atomic swap: rename tables to switch data instantly
         this.logger.info('Performing atomic table swap...');
+        const swapStart = Date.now();
         await this.db.sql`BEGIN TRANSACTION`;
         
         try {
@@ -207,46 +359,20 @@ export class SQLiteCloudClient {
           
           await this.db.sql`COMMIT`;
           
-          this.logger.info('Table swap completed successfully');
-          
-          // Recreate indexes for optimal performance
-          this.logger.debug('Recreating indexes...');
-          try {
-            await this.db.sql(`CREATE INDEX IF NOT EXISTS idx_pool_protocol ON pool(protocol)`);
-            await this.db.sql(`CREATE INDEX IF NOT EXISTS idx_pool_country ON pool(country)`);
-            await this.db.sql(`CREATE INDEX IF NOT EXISTS idx_pool_city ON pool(city)`);
-            await this.db.sql(`CREATE INDEX IF NOT EXISTS idx_pool_host ON pool(host)`);
-            await this.db.sql(`CREATE INDEX IF NOT EXISTS idx_pool_region ON pool(region)`);
-            await this.db.sql(`CREATE INDEX IF NOT EXISTS idx_pool_hostname ON pool(hostname)`);
-            this.logger.debug('Indexes recreated successfully');
-          } catch (indexError) {
-            this.logger.warn(`Failed to recreate some indexes: ${indexError.message}`);
-          }
+          this.logger.info(`Table swap completed successfully in ${Date.now() - swapStart}ms`);
           
-          // Recreate trigger for updated_at timestamp
-          try {
-            await this.db.sql(`
-              CREATE TRIGGER IF NOT EXISTS update_pool_timestamp 
-                  AFTER UPDATE ON pool
-                  FOR EACH ROW
-              BEGIN
-                  UPDATE pool SET updated_at = CURRENT_TIMESTAMP WHERE proxy = NEW.proxy;
-              END
-            `);
-            this.logger.debug('Trigger recreated successfully');
-          } catch (triggerError) {
-            this.logger.warn(`Failed to recreate trigger: ${triggerError.message}`);
-          }
+          await this.restorePoolIndexes(schema.definitions);
           
-          // Clean up old table in background (non-critical)
+          // Keep the swapped-out pool for rollback, dropping the oldest
+          // backups beyond the retention limit (non-critical)
           try {
-            await this.db.sql(`DROP TABLE ${backupTableName}`);
-            this.logger.debug(`Cleaned up backup table: ${backupTableName}`);
+            await this.registerBackup(backupTableName);
+            await this.pruneBackups(backupRetention);
           } catch (cleanupError) {
-            this.logger.warn(`Failed to cleanup backup table: ${cleanupError.message}`);
+            this.logger.warn(`Failed to register backup table: ${cleanupError.message}`);
           }
           
-          return cleanRecords.length;
+          return tempCount;
           
         } catch (error) {
           await this.db.sql`ROLLBACK`;
@@ -268,6 +394,519 @@ export class SQLiteCloudClient {
     });
   }
 
+  /**
+   * Read the pool table's DDL from sqlite_master, as left by the migrations
+   * Returns the CREATE TABLE statement and its index / trigger definitions
+   */
+  async getPoolSchema() {
+    const rows = await this.db.sql`
+      SELECT type, name, sql FROM sqlite_master
+      WHERE tbl_name = 'pool' AND sql IS NOT NULL
+    `;
+    const table = rows.find(row => row.type === 'table');
+    
+    if (!table) {
+      throw new Error('pool table does not exist (run npm run migrate -- up)');
+    }
+    
+    return {
+      table: table.sql,
+      definitions: rows.filter(row => row.type === 'index' || row.type === 'trigger')
+    };
+  }
+  
+  /**
+   * Describe a table from PRAGMA table_info / index_list / index_info and its
+   * triggers: { columns: [{ name, type, notNull, primaryKey }],
+   * indexes: [{ name, columns }], triggers: [name] }
+   * Automatic indexes backing PRIMARY KEY / UNIQUE constraints are left out
+   */
+  async describeTable(tableName) {
+    const quoted = `"${tableName.replace(/"/g, '""')}"`;
+    const columns = await this.db.sql(`PRAGMA table_info(${quoted})`);
+    
+    if (columns.length === 0) {
+      throw new Error(`${tableName} table does not exist`);
+    }
+    
+    const indexList = await this.db.sql(`PRAGMA index_list(${quoted})`);
+    const indexes = [];
+    
+    for (const index of indexList.filter(index => index.origin === 'c')) {
+      const indexColumns = await this.db.sql(`PRAGMA index_info("${index.name.replace(/"/g, '""')}")`);
+      indexes.push({ name: index.name, columns: indexColumns.sort((a, b) => a.seqno - b.seqno).map(column => column.name) });
+    }
+    
+    const triggers = await this.db.sql(
+      `SELECT name FROM sqlite_master WHERE type = 'trigger' AND tbl_name = ? ORDER BY name`,
+      tableName
+    );
+    
+    return {
+      columns: columns.map(column => ({
+        name: column.name,
+        type: column.type,
+        notNull: Boolean(column.notnull),
+        primaryKey: column.pk > 0
+      })),
+      indexes,
+      triggers: triggers.map(trigger => trigger.name)
+    };
+  }
+  
+  /**
+   * When the pool last changed: the newest updated_at and the last successful
+   * sync; freshAt is the later of the two (ISO 8601, null when unknown)
+   * Incremental syncs leave unchanged rows alone, so updated_at alone can lag
+   */
+  async getPoolFreshness() {
+    const [row] = await this.db.sql`SELECT MAX(updated_at) AS last_updated FROM pool`;
+    // CURRENT_TIMESTAMP is UTC in 'YYYY-MM-DD HH:MM:SS' form
+    const lastUpdatedAt = row?.last_updated
+      ? new Date(`${String(row.last_updated).replace(' ', 'T')}Z`).toISOString()
+      : null;
+    
+    let lastSyncTime = null;
+    try {
+      lastSyncTime = (await this.getSyncRunStats()).lastSyncTime;
+    } catch (error) {
+      this.logger.warn(`Could not get sync run stats: ${error.message}`);
+    }
+    
+    const times = [lastUpdatedAt, lastSyncTime].filter(Boolean).sort();
+    return { lastUpdatedAt, lastSyncTime, freshAt: times.pop() ?? null };
+  }
+  
+  /**
+   * Create an empty staging table with the same structure as pool
+   */
+  async createStagingTable(tableName, schema) {
+    const tableNamePattern = /^(CREATE\s+TABLE\s+)("[^"]+"|`[^`]+`|\[[^\]]+\]|[^\s(]+)/i;
+    
+    if (!tableNamePattern.test(schema.table)) {
+      throw new Error(`Unrecognized pool table definition: ${schema.table.slice(0, 60)}`);
+    }
+    
+    this.logger.debug(`Creating temporary table: ${tableName}`);
+    await this.db.sql(schema.table.replace(tableNamePattern, `$1${tableName}`));
+  }
+  
+  /**
+   * Recreate the pool indexes and trigger after a table swap
+   * Renamed tables keep their indexes and trigger, so those are dropped from
+   * the swapped-out table first to free the names
+   */
+  async restorePoolIndexes(definitions) {
+    this.logger.debug('Recreating indexes and triggers...');
+    
+    for (const definition of definitions) {
+      try {
+        await this.db.sql(`DROP ${definition.type.toUpperCase()} IF EXISTS ${definition.name}`);
+        await this.execScript(definition.sql);
+      } catch (error) {
+        this.logger.warn(`Failed to recreate ${definition.type} ${definition.name}: ${error.message}`);
+      }
+    }
+    
+    this.logger.debug(`Recreated ${definitions.length} indexes and triggers`);
+  }
+  
+  /**
+   * Record a swapped-out pool table in the backup registry
+   */
+  async registerBackup(tableName) {
+    const [{ count }] = await this.db.sql(`SELECT COUNT(*) AS count FROM ${tableName}`);
+    await this.db.sql(
+      'INSERT OR REPLACE INTO pool_backups (table_name, created_at, row_count) VALUES (?, ?, ?)',
+      tableName, new Date().toISOString(), count
+    );
+    this.logger.debug(`Kept backup table: ${tableName} (${count} rows)`);
+  }
+  
+  /**
+   * List registered backups, newest first
+   */
+  async listBackups() {
+    return this.db.sql(`
+      SELECT table_name, created_at, row_count FROM pool_backups
+      ORDER BY created_at DESC, table_name DESC
+    `);
+  }
+  
+  /**
+   * Drop registered backups beyond the newest `retention` ones
+   */
+  async pruneBackups(retention) {
+    const expired = (await this.listBackups()).slice(Math.max(retention, 0));
+    
+    for (const backup of expired) {
+      await this.db.sql(`DROP TABLE IF EXISTS ${backup.table_name}`);
+      await this.db.sql('DELETE FROM pool_backups WHERE table_name = ?', backup.table_name);
+      this.logger.debug(`Cleaned up backup table: ${backup.table_name}`);
+    }
+    
+    return expired.length;
+  }
+  
+  /**
+   * Atomically swap a registered backup back into pool
+   * The replaced pool is kept as a new backup so the rollback can be undone
+   */
+  async restoreBackup(tableName, backupRetention = 0) {
+    return this.executeWithRetry(async () => {
+      const backups = await this.listBackups();
+      if (!backups.some(backup => backup.table_name === tableName)) {
+        const error = new Error(`Unknown backup table: ${tableName}`);
+        error.retryable = false;
+        throw error;
+      }
+      
+      this.logger.info(`Restoring ${tableName} into pool...`);
+      const schema = await this.getPoolSchema();
+      const replacedTableName = 'pool_backup_' + Date.now();
+      await this.db.sql`BEGIN TRANSACTION`;
+      
+      try {
+        await this.db.sql(`ALTER TABLE pool RENAME TO ${replacedTableName}`);
+        await this.db.sql(`ALTER TABLE ${tableName} RENAME TO pool`);
+        await this.db.sql('DELETE FROM pool_backups WHERE table_name = ?', tableName);
+        await this.db.sql`COMMIT`;
+      } catch (error) {
+        await this.db.sql`ROLLBACK`;
+        throw error;
+      }
+      
+      await this.restorePoolIndexes(schema.definitions);
+      await this.registerBackup(replacedTableName);
+      await this.pruneBackups(backupRetention);
+      
+      const restoredCount = await this.getProxyCount();
+      this.logger.info(`Restored ${restoredCount} records from ${tableName}; previous pool kept as ${replacedTableName}`);
+      return restoredCount;
+    });
+  }
+  
+  /**
+   * Count rows of a pool-shaped table in total and per protocol / country
+   */
+  async getTableDistribution(tableName = 'pool') {
+    const [totals] = await this.db.sql(`SELECT COUNT(*) AS count FROM ${tableName}`);
+    const protocols = await this.db.sql(`SELECT protocol AS key, COUNT(*) AS count FROM ${tableName} GROUP BY protocol`);
+    const countries = await this.db.sql(`SELECT COALESCE(country, '') AS key, COUNT(*) AS count FROM ${tableName} GROUP BY COALESCE(country, '')`);
+    
+    return {
+      total: totals.count,
+      protocol: Object.fromEntries(protocols.map(row => [row.key, row.count])),
+      country: Object.fromEntries(countries.map(row => [row.key, row.count]))
+    };
+  }
+  
+  /**
+   * Refuse to replace the pool when it would shrink too much
+   * Throws SwapRefusedError unless the guard is disabled or forced
+   */
+  async guardAgainstMassDeletion(next, guard) {
+    if (!guard || guard.maxShrinkPercent === null || guard.maxShrinkPercent === undefined) {
+      return;
+    }
+    
+    const current = await this.getTableDistribution('pool');
+    const violations = findShrinkViolations(current, next, guard);
+    
+    if (violations.length === 0) {
+      this.logger.debug(`Mass-deletion guard passed: ${current.total} -> ${next.total} records`);
+      return;
+    }
+    
+    const summary = violations.slice(0, 5)
+      .map(violation => `${violation.group} ${violation.before} -> ${violation.after} (-${violation.shrinkPercent.toFixed(1)}%)`)
+      .join(', ');
+    
+    if (guard.force) {
+      this.logger.warn(`Mass-deletion guard overridden by --force: ${summary}`);
+      return;
+    }
+    
+    throw new SwapRefusedError(
+      `Refusing to replace pool: shrink exceeds ${guard.maxShrinkPercent}% for ${summary}`,
+      { current: current.total, staged: next.total, violations }
+    );
+  }
+  
+  /**
+   * Compare records against the current pool by proxy key
+   * Returns the records to insert and update, the proxies to delete, the
+   * pool rows they belong to and how often each column changes
+   */
+  async diffAgainstPool(records) {
+    const currentRows = await this.db.sql(`SELECT ${POOL_COLUMNS.join(', ')} FROM pool`);
+    const current = new Map(currentRows.map(row => [row.proxy, row]));
+    
+    const toInsert = [];
+    const toUpdate = [];
+    const changedColumns = {};
+    
+    for (const record of records) {
+      const existing = current.get(record.proxy);
+      if (!existing) {
+        toInsert.push(record);
+      } else {
+        const changed = POOL_COLUMNS.filter(column => String(existing[column] ?? '') !== String(record[column] ?? ''));
+        if (changed.length > 0) {
+          toUpdate.push(record);
+          changed.forEach(column => { changedColumns[column] = (changedColumns[column] || 0) + 1; });
+        }
+        current.delete(record.proxy);
+      }
+    }
+    
+    return { toInsert, toUpdate, toDelete: [...current.keys()], deletedRows: [...current.values()], changedColumns };
+  }
+  
+  /**
+   * Describe what syncing `records` (already deduplicated) would change
+   * Read-only: returns added / removed / changed counts with protocol and
+   * country breakdowns, the columns that change and the mass-deletion guard
+   * violations the sync would hit
+   */
+  async planSync(records, guard = null) {
+    const { toInsert, toUpdate, deletedRows, changedColumns } = await this.diffAgainstPool(records);
+    const current = await this.getTableDistribution('pool');
+    const next = distributionFromRecords(records);
+    
+    return {
+      currentCount: current.total,
+      nextCount: next.total,
+      added: distributionFromRecords(toInsert),
+      removed: distributionFromRecords(deletedRows),
+      changed: distributionFromRecords(toUpdate),
+      changedColumns,
+      guardViolations: guard && guard.maxShrinkPercent !== null
+        ? findShrinkViolations(current, next, guard)
+        : []
+    };
+  }
+  
+  /**
+   * Incremental sync that applies only the differences to the pool table
+   * Keeps created_at for existing rows and touches updated_at only on changed rows
+   *
+   * Accepts an array or async source; the diff needs every record, so a
+   * streamed source is collected into memory first. `guard` works as in
+   * syncProxiesWithSwap().
+   */
+  async syncProxiesIncremental(records, batchSize = 1000, guard = null) {
+    if (!Array.isArray(records)) {
+      const collected = [];
+      for await (const record of records) {
+        collected.push(record);
+      }
+      records = collected;
+    }
+    
+    if (records.length === 0) {
+      this.logger.info('No records to sync');
+      return 0;
+    }
+    
+    const cleanRecords = this.removeDuplicates(records);
+    
+    this.logger.info(`Syncing ${cleanRecords.length} unique proxy records using incremental strategy...`);
+    
+    return this.executeWithRetry(async () => {
+      await this.guardAgainstMassDeletion(distributionFromRecords(cleanRecords), guard);
+      const { toInsert, toUpdate, toDelete } = await this.diffAgainstPool(cleanRecords);
+      this.logger.info('Incremental changes', { added: toInsert.length, changed: toUpdate.length, removed: toDelete.length });
+      
+      // Changed rows are rewritten with a multi-row upsert on the proxy key
+      const upsertSuffix = `
+        ON CONFLICT(proxy) DO UPDATE SET
+        ${POOL_COLUMNS.slice(1).map(column => `${column} = excluded.${column}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+      `;
+      const applyStart = Date.now();
+      let statements = 0;
+      
+      await this.db.sql`BEGIN TRANSACTION`;
+      
+      try {
+        for (let i = 0; i < toDelete.length; i += batchSize) {
+          const batch = toDelete.slice(i, i + batchSize);
+          await this.db.sql(`DELETE FROM pool WHERE proxy IN (${batch.map(() => '?').join(', ')})`, ...batch);
+          statements++;
+        }
+        
+        statements += await this.insertRows('pool', toInsert);
+        statements += await this.insertRows('pool', toUpdate, upsertSuffix);
+        
+        await this.db.sql`COMMIT`;
+        
+      } catch (error) {
+        await this.db.sql`ROLLBACK`;
+        this.logger.error(`Incremental sync failed: ${error.message}`);
+        throw error;
+      }
+      
+      this.logger.info(`Incremental sync completed successfully in ${Date.now() - applyStart}ms using ${statements} statements`);
+      return cleanRecords.length;
+    });
+  }
+  
+  /**
+   * Record the current pool contents in proxy_history
+   * Proxies in the pool are marked as seen, all others as missed
+   */
+  async updateProxyHistory() {
+    return this.executeWithRetry(async () => {
+      await this.db.sql`BEGIN TRANSACTION`;
+      
+      try {
+        const missed = await this.db.sql(`
+          UPDATE proxy_history SET missed_count = missed_count + 1
+          WHERE proxy NOT IN (SELECT proxy FROM pool)
+        `);
+        
+        // WHERE true disambiguates the upsert clause from a join constraint
+        const seen = await this.db.sql(`
+          INSERT INTO proxy_history (proxy, first_seen, last_seen, seen_count, missed_count)
+          SELECT proxy, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1, 0 FROM pool WHERE true
+          ON CONFLICT(proxy) DO UPDATE SET
+            last_seen = excluded.last_seen,
+            seen_count = proxy_history.seen_count + 1
+        `);
+        
+        await this.db.sql`COMMIT`;
+        this.logger.debug(`Proxy history updated: ${seen.changes ?? 'unknown'} seen, ${missed.changes ?? 'unknown'} missed`);
+        
+      } catch (error) {
+        await this.db.sql`ROLLBACK`;
+        throw error;
+      }
+    });
+  }
+  
+  /**
+   * Build the WHERE clause for queryProxies() / countProxies() filters
+   * protocol / country / region / city accept a value or a list (any match,
+   * case-insensitive), org matches a substring, hasHostname true / false
+   * keeps rows with / without a hostname, minUptime keeps rows whose uptime
+   * ratio (0-1, no history counts as 0) is at least that
+   */
+  buildProxyFilter({ protocol, country, region, city, org, hasHostname, minUptime } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    for (const [column, value] of Object.entries({ protocol, country, region, city })) {
+      const values = (Array.isArray(value) ? value : [value]).filter(Boolean);
+      if (values.length > 0) {
+        conditions.push(`${column} COLLATE NOCASE IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+      }
+    }
+    
+    if (org) {
+      conditions.push(`instr(lower(COALESCE(org, '')), lower(?)) > 0`);
+      params.push(org);
+    }
+    
+    if (hasHostname === true) {
+      conditions.push(`COALESCE(hostname, '') <> ''`);
+    } else if (hasHostname === false) {
+      conditions.push(`COALESCE(hostname, '') = ''`);
+    }
+    
+    if (minUptime !== undefined && minUptime !== null) {
+      conditions.push(`COALESCE(${UPTIME_RATIO_SQL}, 0) >= ?`);
+      params.push(minUptime);
+    }
+    
+    return {
+      where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+  
+  /**
+   * Select pool rows matching the filters (see buildProxyFilter())
+   * Rows are ordered by proxy, most stable first with sort 'uptime', or
+   * randomly with `random`; limit / offset page through the result and
+   * `history` adds the HISTORY_COLUMNS
+   */
+  async queryProxies({ limit = null, offset = 0, random = false, sort = 'proxy', history = false, ...filters } = {}) {
+    const { where, params } = this.buildProxyFilter(filters);
+    const columns = [...POOL_COLUMNS, 'created_at', 'updated_at'].map(column => `pool.${column}`);
+    
+    if (history) {
+      columns.push('h.first_seen', 'h.last_seen', 'h.seen_count', 'h.missed_count', `${UPTIME_RATIO_SQL} AS uptime_ratio`);
+    }
+    
+    let sql = `SELECT ${columns.join(', ')} FROM ${POOL_WITH_HISTORY}${where}`;
+    if (random) {
+      sql += ' ORDER BY RANDOM()';
+    } else if (sort === 'uptime') {
+      sql += ` ORDER BY COALESCE(${UPTIME_RATIO_SQL}, 0) DESC, h.first_seen ASC, pool.proxy`;
+    } else {
+      sql += ' ORDER BY pool.proxy';
+    }
+    
+    if (limit) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
+    
+    return this.query(sql, params);
+  }
+  
+  /**
+   * Count pool rows matching the filters (see buildProxyFilter())
+   */
+  async countProxies(filters = {}) {
+    const { where, params } = this.buildProxyFilter(filters);
+    const [result] = await this.query(`SELECT COUNT(*) AS count FROM ${POOL_WITH_HISTORY}${where}`, params);
+    return result?.count || 0;
+  }
+  
+  /**
+   * Append a finished run to the sync_runs ledger
+   */
+  async recordSyncRun(run) {
+    return this.executeWithRetry(async () => {
+      await this.db.sql(`
+        INSERT INTO sync_runs (
+          run_id, started_at, finished_at, duration_ms, parsed_count, invalid_count,
+          duplicate_count, unique_count, pool_count, outcome, error_message
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        run.runId ?? null, run.startedAt, run.finishedAt, run.durationMs, run.parsedCount, run.invalidCount,
+        run.duplicateCount, run.uniqueCount, run.poolCount, run.outcome, run.errorMessage
+      );
+    });
+  }
+  
+  /**
+   * Aggregate historical sync statistics from the sync_runs ledger
+   */
+  async getSyncRunStats() {
+    const [totals] = await this.db.sql(`
+      SELECT COUNT(*) AS total,
+             COALESCE(SUM(outcome = 'success'), 0) AS successful
+      FROM sync_runs
+    `);
+    const [lastRun] = await this.db.sql(`SELECT * FROM sync_runs ORDER BY id DESC LIMIT 1`);
+    const [lastSuccess] = await this.db.sql(`SELECT * FROM sync_runs WHERE outcome = 'success' ORDER BY id DESC LIMIT 1`);
+    
+    return {
+      totalSyncs: totals.total,
+      successfulSyncs: totals.successful,
+      failedSyncs: totals.total - totals.successful,
+      lastRecordCount: lastSuccess?.pool_count ?? 0,
+      lastSyncTime: lastSuccess?.finished_at ?? null,
+      lastOutcome: lastRun?.outcome ?? null,
+      lastError: lastRun?.outcome === 'success' ? null : (lastRun?.error_message ?? null),
+      successRate: totals.total > 0 ? totals.successful / totals.total : 0
+    };
+  }
+  
   /**
    * Clear all records from pool table
    */
@@ -324,24 +963,7 @@ export class SQLiteCloudClient {
       return 0;
     }
     
-    // Check for duplicates in the input data first
-    const uniqueProxies = new Set();
-    const duplicatesFound = [];
-    const cleanRecords = [];
-    
-    for (const record of records) {
-      if (uniqueProxies.has(record.proxy)) {
-        duplicatesFound.push(record.proxy);
-      } else {
-        uniqueProxies.add(record.proxy);
-        cleanRecords.push(record);
-      }
-    }
-    
-    if (duplicatesFound.length > 0) {
-      this.logger.warn(`Found ${duplicatesFound.length} duplicate proxies in input data, using first occurrence only`);
-      this.logger.debug(`Duplicate proxies: ${duplicatesFound.slice(0, 5).join(', ')}${duplicatesFound.length > 5 ? '...' : ''}`);
-    }
+    const cleanRecords = this.removeDuplicates(records);
     
     this.logger.info(`Inserting ${cleanRecords.length} unique proxy records in batches of ${batchSize}...`);
     
@@ -352,27 +974,11 @@ export class SQLiteCloudClient {
         this.logger.debug(`Inserting batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(cleanRecords.length/batchSize)} (${batch.length} records)`);
         
         // Use transaction for each batch
-        await this.db.sql`BEGIN TRANSACTION`;
-        
         try {
-          for (const record of batch) {
-            await this.db.sql`
-              INSERT INTO pool (
-                proxy, protocol, host, port, ip, country, city, 
-                org, region, timezone, loc, hostname
-              ) VALUES (
-                ${record.proxy}, ${record.protocol}, ${record.host}, ${record.port},
-                ${record.ip}, ${record.country}, ${record.city}, ${record.org},
-                ${record.region}, ${record.timezone}, ${record.loc}, ${record.hostname}
-              )
-            `;
-          }
-          
-          await this.db.sql`COMMIT`;
+          await this.insertBatch('pool', batch);
           this.logger.debug(`Batch inserted successfully: ${batch.length} records`);
           
         } catch (error) {
-          await this.db.sql`ROLLBACK`;
           this.logger.error(`Batch insert failed: ${error.message}`);
           
           // If it's a constraint error, provide more details
@@ -411,8 +1017,9 @@ export class SQLiteCloudClient {
   
   /**
    * Health check - test database connectivity and get basic stats
+   * Also sets the database and pool gauges of `metrics` (a MetricsRegistry) when given
    */
-  async healthCheck() {
+  async healthCheck(metrics = null) {
     const startTime = Date.now();
     
     try {
@@ -438,13 +1045,27 @@ export class SQLiteCloudClient {
         this.logger.warn(`Could not get table info: ${error.message}`);
       }
       
+      let syncRuns = null;
+      
+      try {
+        // Try to get historical sync success rate
+        syncRuns = await this.getSyncRunStats();
+      } catch (error) {
+        this.logger.warn(`Could not get sync run stats: ${error.message}`);
+      }
+      
       const responseTime = Date.now() - startTime;
       
+      if (metrics) {
+        await this.publishHealthMetrics(metrics, { proxyCount, responseTime, syncRuns });
+      }
+      
       return {
         status: 'healthy',
         proxyCount,
         responseTime,
         tableColumns,
+        syncRuns,
         message: `Database accessible with ${proxyCount} proxies`
       };
       
@@ -452,6 +1073,11 @@ export class SQLiteCloudClient {
       const responseTime = Date.now() - startTime;
       this.logger.error(`Health check failed: ${error.message}`);
       
+      if (metrics) {
+        metrics.set('proxy_pool_database_up', 0);
+        metrics.set('proxy_pool_database_response_seconds', responseTime / 1000);
+      }
+      
       return {
         status: 'error',
         message: `Health check failed: ${error.message}`,
@@ -460,4 +1086,205 @@ export class SQLiteCloudClient {
       };
     }
   }
+  
+  /**
+   * Set the database and pool gauges of a MetricsRegistry from a passed health check
+   */
+  async publishHealthMetrics(metrics, { proxyCount, responseTime, syncRuns }) {
+    metrics.set('proxy_pool_database_up', 1);
+    metrics.set('proxy_pool_database_response_seconds', responseTime / 1000);
+    
+    if (syncRuns) {
+      metrics.set('proxy_sync_success_ratio', syncRuns.successRate);
+    }
+    
+    try {
+      metrics.setPoolDistribution(await this.getTableDistribution('pool'));
+    } catch (error) {
+      this.logger.warn(`Could not get pool composition: ${error.message}`);
+      metrics.set('proxy_pool_records', proxyCount);
+    }
+  }
+}
+
+/**
+ * SQLite Cloud database client
+ */
+export class SQLiteCloudClient extends DatabaseClient {
+  /**
+   * Host of the connection string, for logs
+   */
+  connectionHost() {
+    try {
+      return new URL(this.connectionString).host;
+    } catch {
+      return 'invalid URL';
+    }
+  }
+  
+  /**
+   * Connect to SQLite Cloud database
+   */
+  async connect() {
+    try {
+      // Only the host: the connection string carries the API key
+      this.logger.debug(`Connecting to SQLite Cloud at ${this.connectionHost()}...`);
+      
+      // Create database instance
+      this.db = new Database(this.connectionString);
+      
+      // Wait a bit for connection to establish
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      
+      // Test connection with a simple query
+      const result = await this.db.sql`SELECT 1 as test`;
+      this.logger.debug(`Connection test result: ${JSON.stringify(result)}`);
+      
+      if (this.readOnly) {
+        await this.db.sql`PRAGMA query_only = 1`;
+      }
+      
+      this.logger.info(`Connected to SQLite Cloud successfully${this.readOnly ? ' (read-only)' : ''}`);
+      return true;
+      
+    } catch (error) {
+      this.logger.error(`Database connection failed: ${error.message}`);
+      this.logger.error(`Error code: ${error.errorCode || 'Unknown'}`);
+      
+      // Check if it's a connection string issue
+      if (error.message.includes('Connection error') || error.errorCode === 'ERR_CONNECTION_ERROR') {
+        this.logger.error('Possible issues:');
+        this.logger.error('1. Check your SQLite Cloud connection string');
+        this.logger.error('2. Verify your API key is correct');
+        this.logger.error('3. Ensure your cluster is running');
+        this.logger.error('4. Check network connectivity');
+      }
+      
+      // Cleanup on failed connection
+      if (this.db) {
+        try {
+          await this.db.close();
+        } catch (closeError) {
+          this.logger.debug(`Error closing failed connection: ${closeError.message}`);
+        }
+        this.db = null;
+      }
+      
+      return false;
+    }
+  }
+}
+
+/**
+ * Thin wrapper giving a better-sqlite3 handle the same sql() / exec() surface
+ * as the SQLite Cloud driver: tagged templates and (sql, ...params) calls
+ */
+class LocalDatabase {
+  constructor(db) {
+    this.db = db;
+  }
+  
+  async sql(query, ...params) {
+    const text = Array.isArray(query) && query.raw ? query.join('?') : query;
+    const values = params.map(value => {
+      if (value === undefined) return null;
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      return value;
+    });
+    
+    const statement = this.db.prepare(text);
+    if (statement.reader) {
+      return statement.all(...values);
+    }
+    
+    const info = statement.run(...values);
+    return { changes: info.changes, lastID: Number(info.lastInsertRowid) };
+  }
+  
+  exec(sql, callback) {
+    try {
+      this.db.exec(sql);
+      callback?.(null);
+    } catch (error) {
+      callback?.(error);
+    }
+    return this;
+  }
+  
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Local SQLite file database client
+ * Connection string format: file:./pool.db or file:///absolute/path/pool.db
+ */
+export class LocalSQLiteClient extends DatabaseClient {
+  constructor(connectionString, logger = new Logger(), options = {}) {
+    super(connectionString, logger, options);
+    this.filePath = LocalSQLiteClient.resolvePath(connectionString);
+  }
+  
+  /**
+   * Resolve the database file path from a file: URL
+   */
+  static resolvePath(connectionString) {
+    const withoutQuery = connectionString.split('?')[0];
+    if (withoutQuery.startsWith('file://')) {
+      return fileURLToPath(withoutQuery);
+    }
+    return withoutQuery.replace(/^file:/, '');
+  }
+  
+  /**
+   * Open the local SQLite file (schema migrations are applied by migrate())
+   */
+  async connect() {
+    let handle = null;
+    
+    try {
+      this.logger.debug(`Opening local SQLite database: ${this.filePath}`);
+      
+      // Loaded lazily so SQLite Cloud deployments never need the native module
+      // (an optional dependency that may have failed to build)
+      const { default: BetterSqlite3 } = await import('better-sqlite3').catch(error => {
+        throw new Error(`file: databases need the optional better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+      });
+      if (this.readOnly) {
+        handle = new BetterSqlite3(this.filePath, { readonly: true, fileMustExist: true });
+        this.db = new LocalDatabase(handle);
+      } else {
+        handle = new BetterSqlite3(this.filePath);
+        handle.pragma('journal_mode = WAL');
+        this.db = new LocalDatabase(handle);
+      }
+      
+      this.logger.info(`Connected to local SQLite database: ${this.filePath}${this.readOnly ? ' (read-only)' : ''}`);
+      return true;
+      
+    } catch (error) {
+      this.logger.error(`Database connection failed: ${error.message}`);
+      
+      // Cleanup on failed connection
+      if (handle) {
+        handle.close();
+      }
+      this.db = null;
+      
+      return false;
+    }
+  }
+}
+
+/**
+ * Create a database client for the given connection string
+ * file: URLs use a local SQLite file, everything else goes to SQLite Cloud
+ * Options: { readOnly }
+ */
+export function createDatabaseClient(connectionString, logger = new Logger(), options = {}) {
+  if (/^file:/i.test(connectionString || '')) {
+    return new LocalSQLiteClient(connectionString, logger, options);
+  }
+  return new SQLiteCloudClient(connectionString, logger, options);
 }
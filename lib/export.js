@@ -0,0 +1,52 @@
+import { HISTORY_COLUMNS, POOL_COLUMNS } from './database.js';
+import { csvLine } from './serializers.js';
+
+// Columns written by the json and csv export formats
+const EXPORT_COLUMNS = [...POOL_COLUMNS, 'created_at', 'updated_at'];
+
+/**
+ * Export columns, plus the sync history ones for rows queried with `history`
+ */
+function exportColumns({ history = false } = {}) {
+  return history ? [...EXPORT_COLUMNS, ...HISTORY_COLUMNS] : EXPORT_COLUMNS;
+}
+
+/**
+ * Pool rows as plain objects with the export columns, in column order
+ */
+export function toExportObjects(rows, options = {}) {
+  const columns = exportColumns(options);
+  return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+}
+
+/**
+ * Output formats for pool rows
+ * plain is mubeng's proxy file format (one proxy URL per line, for `mubeng -f`)
+ */
+const EXPORT_FORMATTERS = {
+  plain: rows => rows.map(row => `${row.proxy}\n`).join(''),
+  json: (rows, options) => `${JSON.stringify(toExportObjects(rows, options), null, 2)}\n`,
+  csv: (rows, options) => {
+    const columns = exportColumns(options);
+    return [columns, ...rows.map(row => columns.map(column => row[column]))].map(csvLine).join('');
+  }
+};
+
+/**
+ * Names of the supported export formats
+ */
+export function listExportFormats() {
+  return Object.keys(EXPORT_FORMATTERS);
+}
+
+/**
+ * Render pool rows in an export format
+ * `history` adds the sync history columns to json and csv
+ */
+export function formatProxies(rows, format = 'plain', options = {}) {
+  const formatter = EXPORT_FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unsupported export format '${format}' (expected ${listExportFormats().join(', ')})`);
+  }
+  return formatter(rows, options);
+}
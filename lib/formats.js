@@ -0,0 +1,315 @@
+import { isIP } from 'net';
+
+// Field order of the mubeng fasttemplate pipe format
+export const RECORD_FIELDS = [
+  'proxy', 'protocol', 'host', 'port', 'ip', 'country', 'city',
+  'org', 'region', 'timezone', 'loc', 'hostname'
+];
+
+// Default mubeng --output fasttemplate producing the pipe format
+export const DEFAULT_TEMPLATE = RECORD_FIELDS.map(field => `{{${field}}}`).join('|');
+
+// Fields every record needs; all but proxy can be derived from the proxy URL
+const REQUIRED_FIELDS = ['proxy', 'protocol', 'host', 'port', 'ip'];
+
+// Ports implied by the URL scheme when a proxy URL omits one
+const DEFAULT_PORTS = { http: 80, https: 443 };
+
+/**
+ * Decompose a proxy URL (protocol://[user:pass@]host:port) into record fields
+ * For domain hosts the exit IP is unknown, so ip is left empty
+ */
+export function decomposeProxyUrl(proxy) {
+  const url = new URL(proxy);
+  const protocol = url.protocol.replace(/:$/, '').toLowerCase();
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const port = url.port || DEFAULT_PORTS[protocol];
+  
+  if (!host || !port) {
+    throw new Error(`Proxy URL must include host and port: ${proxy}`);
+  }
+  
+  return {
+    proxy,
+    protocol,
+    host,
+    port: String(port),
+    ip: isIP(host) ? host : '',
+    hostname: isIP(host) ? '' : host
+  };
+}
+
+/**
+ * Derive field positions and the separator from a fasttemplate string
+ * such as {{proxy}}|{{protocol}}|{{host}}
+ *
+ * Unknown placeholders keep their position but are ignored. Throws when the
+ * template has no {{proxy}} or mixes separators; other required fields that
+ * are missing are listed in `derived` and filled from the proxy URL.
+ */
+export function parseTemplate(template = DEFAULT_TEMPLATE) {
+  const placeholders = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)];
+  
+  if (placeholders.length === 0) {
+    throw new Error(`Parser template has no {{field}} placeholders: ${template}`);
+  }
+  
+  const separators = new Set();
+  for (let i = 1; i < placeholders.length; i++) {
+    const previous = placeholders[i - 1];
+    separators.add(template.slice(previous.index + previous[0].length, placeholders[i].index));
+  }
+  
+  if (separators.size > 1 || separators.has('')) {
+    throw new Error(`Parser template must use a single non-empty separator between fields: ${template}`);
+  }
+  
+  const names = placeholders.map(match => match[1]);
+  const fields = names.map(name => (RECORD_FIELDS.includes(name) ? name : null));
+  const ignored = names.filter(name => !RECORD_FIELDS.includes(name));
+  const missing = REQUIRED_FIELDS.filter(field => !fields.includes(field));
+  
+  if (missing.includes('proxy')) {
+    throw new Error(`Parser template is missing required field(s): ${missing.map(field => `{{${field}}}`).join(', ')}`);
+  }
+  
+  return {
+    fields,
+    separator: separators.size > 0 ? [...separators][0] : null,
+    ignored,
+    derived: missing
+  };
+}
+
+/**
+ * Fill protocol/host/port/ip that a format left out from the proxy URL
+ */
+function completeFromProxyUrl(data) {
+  if (!data.proxy || (data.protocol && data.host && data.port && data.ip)) {
+    return data;
+  }
+  
+  const parts = decomposeProxyUrl(data.proxy);
+  const completed = { ...data };
+  for (const field of ['protocol', 'host', 'port', 'ip']) {
+    if (completed[field] === undefined || completed[field] === null || completed[field] === '') {
+      completed[field] = parts[field];
+    }
+  }
+  return completed;
+}
+
+/**
+ * Split one CSV line, honouring double quotes and "" escapes
+ */
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  values.push(current);
+  return values;
+}
+
+/**
+ * mubeng fasttemplate output, by default proxy|protocol|host|port|ip|country|city|org|region|timezone|loc|hostname
+ * Field order and separator follow the configured template (PARSER_TEMPLATE)
+ */
+export class PipeFormat {
+  static detect(line, options = {}) {
+    const { separator } = parseTemplate(options.template || DEFAULT_TEMPLATE);
+    return separator !== null && line.includes(separator);
+  }
+  
+  constructor(options = {}) {
+    this.template = parseTemplate(options.template || DEFAULT_TEMPLATE);
+  }
+  
+  parse(line) {
+    const { fields, separator } = this.template;
+    const parts = separator === null ? [line] : line.split(separator);
+    
+    if (parts.length !== fields.length) {
+      throw new Error(`Expected ${fields.length} fields, got ${parts.length}`);
+    }
+    
+    const data = {};
+    fields.forEach((field, i) => {
+      if (field) {
+        data[field] = parts[i];
+      }
+    });
+    
+    return completeFromProxyUrl(data);
+  }
+}
+
+/**
+ * JSON lines: one object per line keyed by record field names
+ * Only `proxy` is required; missing components are taken from the proxy URL
+ */
+export class NdjsonFormat {
+  static detect(line) {
+    return line.startsWith('{');
+  }
+  
+  parse(line) {
+    const data = JSON.parse(line);
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Expected a JSON object');
+    }
+    
+    const fields = Object.fromEntries(RECORD_FIELDS.map(field => [
+      field,
+      data[field] === undefined || data[field] === null ? undefined : String(data[field])
+    ]));
+    return completeFromProxyUrl(fields);
+  }
+}
+
+/**
+ * CSV with a header row naming the record fields (any order, unknown columns ignored)
+ * Missing components are taken from the proxy URL
+ */
+export class CsvFormat {
+  static detect(line) {
+    return line.includes(',');
+  }
+  
+  constructor() {
+    this.columns = null;
+  }
+  
+  /**
+   * The first line of a CSV file is its header
+   */
+  readHeader(line) {
+    this.columns = splitCsvLine(line).map(column => column.trim().toLowerCase());
+    
+    if (!this.columns.includes('proxy') && !this.columns.includes('host')) {
+      throw new Error('CSV header must include a proxy or host column');
+    }
+  }
+  
+  parse(line) {
+    if (!this.columns) {
+      throw new Error('CSV header has not been read');
+    }
+    
+    const values = splitCsvLine(line);
+    if (values.length !== this.columns.length) {
+      throw new Error(`Expected ${this.columns.length} CSV columns, got ${values.length}`);
+    }
+    
+    const data = {};
+    this.columns.forEach((column, i) => {
+      if (RECORD_FIELDS.includes(column)) {
+        data[column] = values[i].trim();
+      }
+    });
+    
+    if (!data.proxy && data.protocol && data.host && data.port) {
+      data.proxy = `${data.protocol}://${data.host}:${data.port}`;
+    }
+    
+    return completeFromProxyUrl(data);
+  }
+}
+
+/**
+ * Plain mubeng proxy list: one protocol://host:port URL per line, no geo data
+ */
+export class ProxyListFormat {
+  static detect(line, options = {}) {
+    // A line holding the pipe template's separator is a templated record, not a bare URL
+    const { separator } = parseTemplate(options.template || DEFAULT_TEMPLATE);
+    if (separator !== null && line.includes(separator)) {
+      return false;
+    }
+    return /^[a-z][a-z0-9+.-]*:\/\/[^\s|,]+$/i.test(line);
+  }
+  
+  parse(line) {
+    return decomposeProxyUrl(line);
+  }
+}
+
+// Registered formats in auto-detection order; pipe stays ahead of csv since
+// pipe lines may contain commas in the org or loc fields
+const FORMATS = new Map([
+  ['ndjson', NdjsonFormat],
+  ['list', ProxyListFormat],
+  ['pipe', PipeFormat],
+  ['csv', CsvFormat]
+]);
+
+/**
+ * Register an additional input format
+ * The class needs a static detect(line, options) and an instance parse(line) returning
+ * record fields; it may define readHeader(line) to consume a header row.
+ * Custom formats are tried before the built-in ones during auto-detection.
+ */
+export function registerFormat(name, formatClass) {
+  const entries = [...FORMATS].filter(([existing]) => existing !== name);
+  FORMATS.clear();
+  for (const [key, value] of [[name, formatClass], ...entries]) {
+    FORMATS.set(key, value);
+  }
+}
+
+/**
+ * Names of all registered formats
+ */
+export function listFormats() {
+  return [...FORMATS.keys()];
+}
+
+/**
+ * Detect a format name from the first non-empty line of a file
+ * Falls back to the pipe format when nothing matches
+ */
+export function detectFormat(line, options = {}) {
+  for (const [name, formatClass] of FORMATS) {
+    if (formatClass.detect(line, options)) {
+      return name;
+    }
+  }
+  return 'pipe';
+}
+
+/**
+ * Create a format parser instance by name
+ * `options` is passed to the format constructor (e.g. { template } for pipe)
+ */
+export function createFormat(name, options = {}) {
+  const formatClass = FORMATS.get(name);
+  
+  if (!formatClass) {
+    throw new Error(`Unknown input format '${name}' (available: ${listFormats().join(', ')})`);
+  }
+  
+  return new formatClass(options);
+}
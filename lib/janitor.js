@@ -0,0 +1,71 @@
+import { Logger } from './config.js';
+
+// Staging and backup tables are named after the Date.now() they were created at
+const SWAP_TABLE_PATTERN = /^pool_(temp|backup)_(\d+)$/;
+
+/**
+ * Finds and drops pool_temp_* / pool_backup_* tables left behind by syncs
+ * that died before their own cleanup ran
+ *
+ * Backups registered in pool_backups are kept for rollback and never
+ * considered orphaned.
+ */
+export class TableJanitor {
+  constructor(dbClient, logger = new Logger()) {
+    this.dbClient = dbClient;
+    this.logger = logger.child('janitor');
+  }
+  
+  /**
+   * List leftover staging / unregistered backup tables older than maxAgeMinutes
+   */
+  async findOrphans(maxAgeMinutes, now = Date.now()) {
+    const tables = await this.dbClient.db.sql`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND (name LIKE 'pool_temp_%' OR name LIKE 'pool_backup_%')
+    `;
+    const registered = new Set((await this.dbClient.listBackups()).map(backup => backup.table_name));
+    const orphans = [];
+    
+    for (const { name } of tables) {
+      const match = name.match(SWAP_TABLE_PATTERN);
+      if (!match || registered.has(name)) {
+        continue;
+      }
+      
+      const createdAt = parseInt(match[2], 10);
+      const ageMinutes = (now - createdAt) / 60000;
+      
+      if (ageMinutes >= maxAgeMinutes) {
+        orphans.push({
+          name,
+          kind: match[1] === 'temp' ? 'staging' : 'backup',
+          createdAt: new Date(createdAt).toISOString(),
+          ageMinutes: Math.floor(ageMinutes)
+        });
+      }
+    }
+    
+    return orphans.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Drop orphaned tables (or only list them with dryRun)
+   * Returns the orphans found
+   */
+  async sweep(maxAgeMinutes, { dryRun = false } = {}) {
+    const orphans = await this.findOrphans(maxAgeMinutes);
+    
+    for (const orphan of orphans) {
+      if (dryRun) {
+        this.logger.info(`Would drop orphaned ${orphan.kind} table ${orphan.name} (${orphan.ageMinutes} min old)`);
+        continue;
+      }
+      
+      await this.dbClient.db.sql(`DROP TABLE IF EXISTS ${orphan.name}`);
+      this.logger.info(`Dropped orphaned ${orphan.kind} table ${orphan.name} (${orphan.ageMinutes} min old)`);
+    }
+    
+    return orphans;
+  }
+}
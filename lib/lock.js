@@ -0,0 +1,135 @@
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { Logger } from './config.js';
+import { MigrationRunner } from './migrations.js';
+
+// How often a waiting runner retries the lock
+const LOCK_POLL_INTERVAL = 5000;
+
+// migration/005_create_sync_lock_table.sql, applied before the lock is taken
+const LOCK_TABLE_MIGRATION = 5;
+
+/**
+ * Raised when another runner holds the sync lock
+ * Never retried: the caller decides whether to wait (SYNC_LOCK_WAIT)
+ */
+export class SyncLockedError extends Error {
+  constructor(message, holder = null) {
+    super(message);
+    this.name = 'SyncLockedError';
+    this.holder = holder;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Lease-based lock stored in the sync_lock table
+ *
+ * The holder renews its lease while it runs; when a holder crashes its lease
+ * simply expires and the next runner takes the lock over.
+ */
+export class SyncLock {
+  constructor(dbClient, logger = new Logger(), { name = 'sync', leaseMs = 300000 } = {}) {
+    this.dbClient = dbClient;
+    this.logger = logger.child('lock');
+    this.name = name;
+    this.leaseMs = leaseMs;
+    this.owner = `${hostname()}:${process.pid}:${randomBytes(4).toString('hex')}`;
+    this.heartbeat = null;
+  }
+  
+  /**
+   * Apply the migration creating the sync_lock table if it has not run yet,
+   * so the lock can be taken before the other migrations run
+   */
+  async ensureLockTable() {
+    await new MigrationRunner(this.dbClient, this.logger).applyVersion(LOCK_TABLE_MIGRATION);
+  }
+  
+  /**
+   * Take the lock if it is free, expired or already ours
+   * Returns the current holder row
+   */
+  async tryAcquire() {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.leaseMs);
+    
+    await this.dbClient.db.sql(`
+      INSERT INTO sync_lock (name, owner, acquired_at, expires_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        owner = excluded.owner,
+        acquired_at = excluded.acquired_at,
+        expires_at = excluded.expires_at
+      WHERE sync_lock.expires_at <= excluded.acquired_at OR sync_lock.owner = excluded.owner
+    `, this.name, this.owner, now.toISOString(), expiresAt.toISOString());
+    
+    const [holder] = await this.dbClient.db.sql('SELECT owner, acquired_at, expires_at FROM sync_lock WHERE name = ?', this.name);
+    return holder;
+  }
+  
+  /**
+   * Acquire the lock, waiting up to waitMs for the current holder
+   * Throws SyncLockedError when the lock is still held after that
+   */
+  async acquire(waitMs = 0) {
+    const deadline = Date.now() + waitMs;
+    let announced = false;
+    
+    await this.ensureLockTable();
+    
+    for (;;) {
+      const holder = await this.tryAcquire();
+      
+      if (holder?.owner === this.owner) {
+        this.logger.debug(`Acquired sync lock as ${this.owner} until ${holder.expires_at}`);
+        this.startHeartbeat();
+        return;
+      }
+      
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new SyncLockedError(
+          `Another sync is already running (held by ${holder.owner} since ${holder.acquired_at}, lease expires ${holder.expires_at})`,
+          holder
+        );
+      }
+      
+      if (!announced) {
+        this.logger.info('Sync lock held, waiting...', { owner: holder.owner, waitSeconds: Math.ceil(remaining / 1000) });
+        announced = true;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(LOCK_POLL_INTERVAL, remaining)));
+    }
+  }
+  
+  /**
+   * Extend the lease every third of its length while the lock is held
+   */
+  startHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = setInterval(async () => {
+      try {
+        const expiresAt = new Date(Date.now() + this.leaseMs).toISOString();
+        await this.dbClient.db.sql('UPDATE sync_lock SET expires_at = ? WHERE name = ? AND owner = ?', expiresAt, this.name, this.owner);
+      } catch (error) {
+        this.logger.warn(`Failed to renew sync lock: ${error.message}`);
+      }
+    }, Math.max(Math.floor(this.leaseMs / 3), 1000));
+    this.heartbeat.unref();
+  }
+  
+  /**
+   * Release the lock if we still hold it
+   */
+  async release() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    
+    try {
+      await this.dbClient.db.sql('DELETE FROM sync_lock WHERE name = ? AND owner = ?', this.name, this.owner);
+      this.logger.debug('Released sync lock');
+    } catch (error) {
+      this.logger.warn(`Failed to release sync lock: ${error.message}`);
+    }
+  }
+}
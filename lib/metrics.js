@@ -0,0 +1,172 @@
+import { writeFileSync, renameSync } from 'fs';
+import { createServer } from 'http';
+import { Logger } from './config.js';
+
+// Every metric the registry knows: name -> [type, help]
+const METRIC_DEFINITIONS = {
+  proxy_sync_runs_total: ['counter', 'Sync runs finished by this process, by outcome'],
+  proxy_sync_last_run_timestamp_seconds: ['gauge', 'Unix time the last sync run finished'],
+  proxy_sync_last_success_timestamp_seconds: ['gauge', 'Unix time the last successful sync finished'],
+  proxy_sync_last_run_success: ['gauge', 'Whether the last sync run succeeded (1) or not (0)'],
+  proxy_sync_duration_seconds: ['gauge', 'Duration of the last sync run'],
+  proxy_sync_parsed_records: ['gauge', 'Valid records parsed from the live files in the last run'],
+  proxy_sync_invalid_lines: ['gauge', 'Lines rejected by the parser in the last run'],
+  proxy_sync_invalid_ratio: ['gauge', 'Share of rejected lines in the last run (0-1)'],
+  proxy_sync_duplicate_records: ['gauge', 'Duplicate proxies dropped in the last successful run'],
+  proxy_sync_staged_records: ['gauge', 'Unique records staged by the last successful run'],
+  proxy_sync_success_ratio: ['gauge', 'Share of successful runs in the sync_runs ledger (0-1)'],
+  proxy_pool_records: ['gauge', 'Rows in the pool table'],
+  proxy_pool_records_by_protocol: ['gauge', 'Rows in the pool table by protocol'],
+  proxy_pool_records_by_country: ['gauge', 'Rows in the pool table by country'],
+  proxy_pool_database_up: ['gauge', 'Whether the last database health check passed (1) or not (0)'],
+  proxy_pool_database_response_seconds: ['gauge', 'Response time of the last database health check']
+};
+
+/**
+ * Escape a label value for the Prometheus text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value (Prometheus spells infinities and NaN its own way)
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * In-memory metrics rendered in the Prometheus text exposition format
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.series = new Map(Object.keys(METRIC_DEFINITIONS).map(name => [name, new Map()]));
+  }
+  
+  /**
+   * Series map of a known metric
+   */
+  metric(name) {
+    const series = this.series.get(name);
+    if (!series) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+    return series;
+  }
+  
+  /**
+   * Set a gauge sample
+   */
+  set(name, value, labels = {}) {
+    this.metric(name).set(JSON.stringify(labels), { labels, value: Number(value) });
+  }
+  
+  /**
+   * Increase a counter sample
+   */
+  inc(name, labels = {}, amount = 1) {
+    const series = this.metric(name);
+    const key = JSON.stringify(labels);
+    series.set(key, { labels, value: (series.get(key)?.value || 0) + amount });
+  }
+  
+  /**
+   * Replace all samples of a labelled gauge, e.g. pool size per country, so
+   * labels that disappeared are dropped
+   */
+  setAll(name, label, counts) {
+    const series = this.metric(name);
+    series.clear();
+    for (const [key, value] of Object.entries(counts)) {
+      this.set(name, value, { [label]: key });
+    }
+  }
+  
+  /**
+   * Set the pool composition gauges from a { total, protocol, country } distribution
+   */
+  setPoolDistribution(distribution) {
+    this.set('proxy_pool_records', distribution.total);
+    this.setAll('proxy_pool_records_by_protocol', 'protocol', distribution.protocol);
+    this.setAll('proxy_pool_records_by_country', 'country', distribution.country);
+  }
+  
+  /**
+   * Render every metric with at least one sample
+   */
+  render() {
+    const lines = [];
+    
+    for (const [name, series] of this.series) {
+      if (series.size === 0) {
+        continue;
+      }
+      
+      const [type, help] = METRIC_DEFINITIONS[name];
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      
+      for (const { labels, value } of series.values()) {
+        const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${formatValue(value)}`);
+      }
+    }
+    
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+  
+  /**
+   * Write the metrics to a node_exporter textfile collector file
+   * Written to a temporary file first so the collector never reads a partial file
+   */
+  writeTextfile(filePath) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    writeFileSync(tempPath, this.render(), 'utf-8');
+    renameSync(tempPath, filePath);
+  }
+}
+
+/**
+ * Serve GET /metrics from a registry; `refresh` runs before every scrape
+ * Resolves to the listening http.Server
+ */
+export function serveMetrics(registry, { port, host, refresh = null, logger = new Logger() }) {
+  const server = createServer(async (req, res) => {
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Bad request\n');
+      return;
+    }
+    
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found\n');
+      return;
+    }
+    
+    try {
+      await refresh?.();
+    } catch (error) {
+      logger.warn(`Failed to refresh metrics: ${error.message}`);
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(registry.render());
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      const address = server.address();
+      logger.info(`Metrics available at http://${address.address}:${address.port}/metrics`);
+      resolve(server);
+    });
+  });
+}
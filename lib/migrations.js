@@ -0,0 +1,156 @@
+import { readFileSync, readdirSync } from 'fs';
+import { Logger } from './config.js';
+
+// Migration files are applied in version order: 001_create_pool_table.sql
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+)\.sql$/;
+
+const DEFAULT_MIGRATION_DIR = new URL('../migration/', import.meta.url);
+
+/**
+ * Applies the numbered SQL files in migration/ and tracks them in the
+ * schema_migrations table
+ */
+export class MigrationRunner {
+  constructor(dbClient, logger = new Logger(), directory = DEFAULT_MIGRATION_DIR) {
+    this.dbClient = dbClient;
+    this.logger = logger.child('migrations');
+    this.directory = directory;
+  }
+  
+  /**
+   * Read the migration files, ordered by version
+   */
+  loadMigrations() {
+    const migrations = [];
+    
+    for (const file of readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        if (file.endsWith('.sql')) {
+          this.logger.warn(`Ignoring migration file without a version prefix: ${file}`);
+        }
+        continue;
+      }
+      
+      migrations.push({
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        sql: readFileSync(new URL(file, this.directory), 'utf-8')
+      });
+    }
+    
+    migrations.sort((a, b) => a.version - b.version);
+    
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+      }
+    }
+    
+    return migrations;
+  }
+  
+  /**
+   * Create the schema_migrations table if it does not exist yet
+   */
+  async ensureMigrationsTable() {
+    await this.dbClient.db.sql(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME NOT NULL
+      )
+    `);
+  }
+  
+  /**
+   * Map of applied migration versions to their applied_at time
+   */
+  async getAppliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.dbClient.db.sql`SELECT version, applied_at FROM schema_migrations`;
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+  }
+  
+  /**
+   * List every migration with its applied time, or null when pending
+   */
+  async status() {
+    const applied = await this.getAppliedVersions();
+    
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.get(migration.version) || null
+    }));
+  }
+  
+  /**
+   * Apply one migration in its own transaction and record it
+   */
+  async apply(migration) {
+    this.logger.info(`Applying migration ${migration.file}`);
+    
+    await this.dbClient.db.sql`BEGIN TRANSACTION`;
+    
+    try {
+      await this.dbClient.execScript(migration.sql);
+      await this.dbClient.db.sql(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        migration.version, migration.name, new Date().toISOString()
+      );
+      await this.dbClient.db.sql`COMMIT`;
+    } catch (error) {
+      await this.dbClient.db.sql`ROLLBACK`;
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Apply a single migration ahead of the others unless it already is
+   * up() skips it afterwards. Returns true when it was applied here.
+   */
+  async applyVersion(version) {
+    if ((await this.getAppliedVersions()).has(version)) {
+      return false;
+    }
+    
+    const migration = this.loadMigrations().find(candidate => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Unknown migration version ${version}`);
+    }
+    
+    try {
+      await this.apply(migration);
+      return true;
+    } catch (error) {
+      // Another runner may have applied it meanwhile
+      if ((await this.getAppliedVersions()).has(version)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * Returns the applied migrations
+   */
+  async up() {
+    const appliedVersions = await this.getAppliedVersions();
+    const pending = this.loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+    
+    for (const migration of pending) {
+      await this.apply(migration);
+    }
+    
+    if (pending.length > 0) {
+      this.logger.info(`Schema is at version ${pending[pending.length - 1].version} (${pending.length} migration${pending.length > 1 ? 's' : ''} applied)`);
+    } else {
+      this.logger.debug('Schema is up to date');
+    }
+    
+    return pending;
+  }
+}
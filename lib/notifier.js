@@ -0,0 +1,198 @@
+import { hostname } from 'os';
+import { Logger } from './logger.js';
+
+/**
+ * Events a webhook can subscribe to (WEBHOOK_EVENTS)
+ */
+export const NOTIFY_EVENTS = {
+  SYNC_FAILED: 'sync_failed',
+  SWAP_REFUSED: 'swap_refused',
+  POOL_CHANGED: 'pool_changed',
+  HEALTH_UNHEALTHY: 'health_unhealthy',
+  TEST: 'test'
+};
+
+const EVENT_TITLES = {
+  [NOTIFY_EVENTS.SYNC_FAILED]: 'Proxy sync failed',
+  [NOTIFY_EVENTS.SWAP_REFUSED]: 'Proxy pool swap refused',
+  [NOTIFY_EVENTS.POOL_CHANGED]: 'Proxy pool size changed',
+  [NOTIFY_EVENTS.HEALTH_UNHEALTHY]: 'Proxy sync health check failed',
+  [NOTIFY_EVENTS.TEST]: 'Proxy sync test notification'
+};
+
+// Discord embed colours: red for failures, orange for warnings, blue otherwise
+const EVENT_COLORS = {
+  [NOTIFY_EVENTS.SYNC_FAILED]: 0xd93025,
+  [NOTIFY_EVENTS.SWAP_REFUSED]: 0xf29900,
+  [NOTIFY_EVENTS.POOL_CHANGED]: 0xf29900,
+  [NOTIFY_EVENTS.HEALTH_UNHEALTHY]: 0xd93025,
+  [NOTIFY_EVENTS.TEST]: 0x1a73e8
+};
+
+/**
+ * Payload templates by webhook format
+ * Each receives { event, title, message, details, timestamp, host }
+ */
+const PAYLOAD_TEMPLATES = {
+  json: notification => notification,
+  
+  slack: ({ title, message, details, host }) => ({
+    text: `*${title}* (${host})\n${message}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${title}*\n${message}` } },
+      ...(Object.keys(details).length > 0
+        ? [{ type: 'section', fields: Object.entries(details).map(([key, value]) => ({ type: 'mrkdwn', text: `*${key}*\n${value}` })) }]
+        : []),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: host }] }
+    ]
+  }),
+  
+  discord: ({ event, title, message, details, timestamp, host }) => ({
+    content: `**${title}**`,
+    embeds: [{
+      title,
+      description: message,
+      color: EVENT_COLORS[event],
+      fields: Object.entries(details).map(([name, value]) => ({ name, value: String(value), inline: true })),
+      footer: { text: host },
+      timestamp
+    }]
+  })
+};
+
+/**
+ * Payload format for a webhook URL: the configured format, or with 'auto'
+ * guessed from the host (Slack and Discord incoming webhooks), else json
+ */
+export function webhookFormat(url, format = 'auto') {
+  if (format !== 'auto') {
+    return format;
+  }
+  
+  if (/^https:\/\/hooks\.slack\.com\//.test(url)) {
+    return 'slack';
+  }
+  
+  if (/^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//.test(url)) {
+    return 'discord';
+  }
+  
+  return 'json';
+}
+
+/**
+ * Host of a webhook URL, for logs (Slack and Discord URLs embed their secret in the path)
+ */
+function webhookHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid URL';
+  }
+}
+
+/**
+ * List the supported webhook formats
+ */
+export function listWebhookFormats() {
+  return Object.keys(PAYLOAD_TEMPLATES);
+}
+
+/**
+ * Posts JSON notifications to the WEBHOOK_URLS subscribed to an event
+ * Delivery failures are retried and logged, but never thrown
+ */
+export class WebhookNotifier {
+  constructor(config, logger = new Logger()) {
+    this.urls = config.webhookUrls;
+    this.events = config.webhookEvents.length > 0 ? config.webhookEvents : Object.values(NOTIFY_EVENTS);
+    this.format = config.webhookFormat;
+    this.timeoutMs = config.webhookTimeoutMs;
+    this.retries = config.webhookRetries;
+    this.budgetMs = config.webhookBudgetMs;
+    this.logger = logger.child('notifier');
+  }
+  
+  /**
+   * Whether any webhook would receive this event
+   */
+  subscribed(event) {
+    return this.urls.length > 0 && (event === NOTIFY_EVENTS.TEST || this.events.includes(event));
+  }
+  
+  /**
+   * Send an event to every webhook
+   * Resolves to [{ webhook, ok, status?, error? }] (webhook is the URL's host),
+   * empty when nobody subscribed
+   */
+  async notify(event, message, details = {}) {
+    if (!this.subscribed(event)) {
+      return [];
+    }
+    
+    const notification = {
+      event,
+      title: EVENT_TITLES[event],
+      message,
+      details,
+      timestamp: new Date().toISOString(),
+      host: hostname()
+    };
+    
+    return Promise.all(this.urls.map(url => this.deliver(url, notification)));
+  }
+  
+  /**
+   * POST one notification, retrying network errors, timeouts, 429 and 5xx
+   * responses with exponential backoff (1s, 2s, 4s, ...)
+   * All attempts share the WEBHOOK_BUDGET_MS budget: no retry starts after it
+   * and the last request is cut short to fit
+   */
+  async deliver(url, notification) {
+    const body = JSON.stringify(PAYLOAD_TEMPLATES[webhookFormat(url, this.format)](notification));
+    const host = webhookHost(url);
+    const deadline = Date.now() + this.budgetMs;
+    let lastError = null;
+    
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        const backoff = 1000 * 2 ** (attempt - 1);
+        if (Date.now() + backoff >= deadline) {
+          lastError += ` (no retry within the ${this.budgetMs}ms budget)`;
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, backoff));
+      }
+      
+      const timeoutMs = Math.max(Math.min(this.timeoutMs, deadline - Date.now()), 1);
+      
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'proxy-pool-sync' },
+          body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        
+        await response.body?.cancel();
+        
+        if (response.ok) {
+          this.logger.info(`Sent ${notification.event} notification`, { webhook: host, status: response.status });
+          return { webhook: host, ok: true, status: response.status };
+        }
+        
+        lastError = `HTTP ${response.status}`;
+        if (response.status !== 429 && response.status < 500) {
+          break;
+        }
+      } catch (error) {
+        lastError = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+      }
+      
+      this.logger.debug(`Webhook delivery attempt ${attempt + 1} failed`, { webhook: host, error: lastError });
+    }
+    
+    this.logger.warn(`Failed to send ${notification.event} notification`, { webhook: host, error: lastError });
+    return { webhook: host, ok: false, error: lastError };
+  }
+}
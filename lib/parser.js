@@ -1,52 +1,113 @@
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, createReadStream } from 'fs';
+import { createInterface } from 'readline';
 import { ProxyRecord, Logger } from './config.js';
+import { createFormat, detectFormat, DEFAULT_TEMPLATE } from './formats.js';
+import { sourceName } from './sources.js';
+import { REJECTION_REASONS } from './validation.js';
 
 /**
  * Parser for live.txt file
+ * Supports the mubeng pipe format, NDJSON, CSV and plain proxy lists (see formats.js)
  */
 export class ProxyParser {
-  constructor(logger = new Logger()) {
-    this.logger = logger;
+  constructor(logger = new Logger(), options = {}) {
+    this.logger = logger.child('parser');
+    this.format = options.format || 'auto';
+    this.formatOptions = { template: options.template || DEFAULT_TEMPLATE };
+    this.activeFormat = null;
+    this.lastParseStats = { validCount: 0, invalidCount: 0 };
+    this.lastSourceStats = {};
+    this.lastRejection = null;
+    this.currentSource = null;
+    
+    // Optional hook called with every rejected line (e.g. a QuarantineWriter)
+    this.onReject = options.onReject || null;
+    
+    // Per-line warnings can be muted when a previous pass already reported them
+    this.logRejections = true;
+  }
+  
+  /**
+   * Remember a rejected line and pass it to the onReject hook
+   */
+  recordRejection(rejection) {
+    this.lastRejection = { ...rejection, source: this.currentSource };
+    if (this.onReject) {
+      this.onReject(this.lastRejection);
+    }
+  }
+  
+  /**
+   * Pick the input format for a file from its first non-empty line
+   * Returns 'header' when that line was consumed as a header, 'record' when
+   * it holds data, or 'rejected' when it is not a valid header: the line is
+   * rejected like any invalid record and the next line is detected afresh
+   */
+  selectFormat(firstLine, lineNumber = 0) {
+    const line = firstLine.trim();
+    const name = this.format === 'auto' ? detectFormat(line, this.formatOptions) : this.format;
+    this.activeFormat = createFormat(name, this.formatOptions);
+    this.logger.info(`Input format: ${name}${this.format === 'auto' ? ' (auto-detected)' : ''}`);
+    
+    const { template } = this.activeFormat;
+    if (template?.ignored.length > 0) {
+      this.logger.warn(`Ignoring unknown template placeholder(s): ${template.ignored.join(', ')}`);
+    }
+    if (template?.derived.length > 0) {
+      this.logger.info(`Template has no ${template.derived.join(', ')}; deriving from the proxy URL`);
+    }
+    
+    if (typeof this.activeFormat.readHeader !== 'function') {
+      return 'record';
+    }
+    
+    try {
+      this.activeFormat.readHeader(line);
+      return 'header';
+    } catch (error) {
+      this.activeFormat = null;
+      this.recordRejection({ lineNumber, line: firstLine, reason: REJECTION_REASONS.PARSE_ERROR, message: error.message });
+      if (this.logRejections) {
+        this.logger.warn(`Line ${lineNumber}: Invalid ${name} header - ${error.message}`);
+      }
+      return 'rejected';
+    }
   }
   
   /**
-   * Parse a single line from live.txt
-   * Format: proxy|protocol|host|port|ip|country|city|org|region|timezone|loc|hostname
+   * Parse a single line from live.txt using the active input format
+   * Default format: proxy|protocol|host|port|ip|country|city|org|region|timezone|loc|hostname
    * fasttemplate syntax: {{proxy}}|{{protocol}}|{{host}}|{{port}}|{{ip}}|{{country}}|{{city}}|{{org}}|{{region}}|{{timezone}}|{{loc}}|{{hostname}}
+   * (override with the template option / PARSER_TEMPLATE)
    */
   parseLine(line, lineNumber = 0) {
     try {
-      const parts = line.trim().split('|');
+      const trimmedLine = line.trim();
       
-      if (parts.length !== 12) {
-        this.logger.warn(`Line ${lineNumber}: Expected 12 fields, got ${parts.length}`);
-        return null;
+      if (!this.activeFormat) {
+        const name = this.format === 'auto' ? detectFormat(trimmedLine, this.formatOptions) : this.format;
+        this.activeFormat = createFormat(name, this.formatOptions);
       }
       
-      const record = new ProxyRecord({
-        proxy: parts[0],
-        protocol: parts[1],
-        host: parts[2],
-        port: parts[3],
-        ip: parts[4],
-        country: parts[5],
-        city: parts[6],
-        org: parts[7],
-        region: parts[8],
-        timezone: parts[9],
-        loc: parts[10],
-        hostname: parts[11]
-      });
+      const record = new ProxyRecord(this.activeFormat.parse(trimmedLine)).normalize();
+      const validation = record.validate();
       
-      if (!record.isValid()) {
-        this.logger.warn(`Line ${lineNumber}: Invalid record data`);
+      if (!validation.valid) {
+        this.recordRejection({ lineNumber, line, reason: validation.reason, message: validation.message });
+        if (this.logRejections) {
+          this.logger.warn(`Line ${lineNumber}: Invalid record data [${validation.reason}] ${validation.message}`);
+        }
         return null;
       }
       
+      this.lastRejection = null;
       return record;
       
     } catch (error) {
-      this.logger.warn(`Line ${lineNumber}: Parse error - ${error.message}`);
+      this.recordRejection({ lineNumber, line, reason: REJECTION_REASONS.PARSE_ERROR, message: error.message });
+      if (this.logRejections) {
+        this.logger.warn(`Line ${lineNumber}: Parse error - ${error.message}`);
+      }
       return null;
     }
   }
@@ -67,10 +128,24 @@ export class ProxyParser {
       const records = [];
       let validCount = 0;
       let invalidCount = 0;
+      const source = sourceName(filePath);
+      this.currentSource = source;
       
+      this.activeFormat = null;
       for (let i = 0; i < lines.length; i++) {
+        if (!this.activeFormat) {
+          const firstLine = this.selectFormat(lines[i], i + 1);
+          if (firstLine === 'rejected') {
+            invalidCount++;
+          }
+          if (firstLine !== 'record') {
+            continue;
+          }
+        }
+        
         const record = this.parseLine(lines[i], i + 1);
         if (record) {
+          record.source = source;
           records.push(record);
           validCount++;
         } else {
@@ -78,7 +153,8 @@ export class ProxyParser {
         }
       }
       
-      this.logger.info(`Parsed ${validCount} valid records, ${invalidCount} invalid lines`);
+      this.logger.info('Parsed live file', { validCount, invalidCount });
+      this.lastParseStats = { validCount, invalidCount };
       return records;
       
     } catch (error) {
@@ -86,4 +162,100 @@ export class ProxyParser {
       throw error;
     }
   }
+  
+  /**
+   * Stream-parse live.txt line by line, yielding ProxyRecords as they are read
+   * Memory use stays flat regardless of file size
+   */
+  async *parseStream(filePath) {
+    this.logger.info(`Streaming file: ${filePath}`);
+    
+    if (!existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    
+    const lines = createInterface({
+      input: createReadStream(filePath, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+    
+    let lineNumber = 0;
+    let validCount = 0;
+    let invalidCount = 0;
+    const source = sourceName(filePath);
+    this.currentSource = source;
+    this.lastParseStats = { validCount, invalidCount };
+    this.activeFormat = null;
+    
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) {
+          continue;
+        }
+        
+        if (!this.activeFormat) {
+          const firstLine = this.selectFormat(line, lineNumber);
+          if (firstLine === 'rejected') {
+            invalidCount++;
+            this.lastParseStats = { validCount, invalidCount };
+          }
+          if (firstLine !== 'record') {
+            continue;
+          }
+        }
+        
+        const record = this.parseLine(line, lineNumber);
+        if (record) {
+          record.source = source;
+          validCount++;
+          this.lastParseStats = { validCount, invalidCount };
+          yield record;
+        } else {
+          invalidCount++;
+          this.lastParseStats = { validCount, invalidCount };
+        }
+      }
+    } finally {
+      lines.close();
+    }
+    
+    this.logger.info('Parsed live file', { validCount, invalidCount });
+  }
+  
+  /**
+   * Stream-parse several live files in order, tagging records with their source
+   * Per-source counts end up in lastSourceStats, totals in lastParseStats
+   */
+  async *parseSources(filePaths) {
+    const totals = { validCount: 0, invalidCount: 0 };
+    this.lastSourceStats = {};
+    
+    for (const filePath of filePaths) {
+      yield* this.parseStream(filePath);
+      
+      this.lastSourceStats[sourceName(filePath)] = { ...this.lastParseStats };
+      totals.validCount += this.lastParseStats.validCount;
+      totals.invalidCount += this.lastParseStats.invalidCount;
+    }
+    
+    this.lastParseStats = totals;
+  }
+  
+  /**
+   * Re-iterable view over a file: every for-await loop re-reads it from the start
+   * This lets database retries replay the stream
+   */
+  streamFile(filePath) {
+    return this.streamFiles([filePath]);
+  }
+  
+  /**
+   * Re-iterable view over several files, read in precedence order
+   */
+  streamFiles(filePaths) {
+    return {
+      [Symbol.asyncIterator]: () => this.parseSources(filePaths)
+    };
+  }
 }
@@ -0,0 +1,76 @@
+import { createWriteStream, openSync } from 'fs';
+import { extname } from 'path';
+import { csvLine, ndjsonLine } from './serializers.js';
+
+/**
+ * Writes rejected input lines to a quarantine report (JSONL or CSV)
+ */
+export class QuarantineWriter {
+  constructor(filePath, format = '') {
+    this.filePath = filePath;
+    this.format = format || (extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+    this.count = 0;
+    
+    if (!['jsonl', 'csv'].includes(this.format)) {
+      throw new Error(`Unsupported quarantine format '${this.format}' (expected jsonl or csv)`);
+    }
+    
+    // Opened synchronously so a bad path fails the run here instead of
+    // surfacing later as an unhandled stream 'error' event
+    let fd;
+    try {
+      fd = openSync(filePath, 'w');
+    } catch (error) {
+      throw new Error(`Cannot open quarantine file ${filePath}: ${error.message}`);
+    }
+    
+    // Write errors are held until close() so they fail the run, not the process
+    this.error = null;
+    this.stream = createWriteStream(null, { fd, encoding: 'utf-8' });
+    this.stream.on('error', error => {
+      this.error = this.error || error;
+    });
+    if (this.format === 'csv') {
+      this.stream.write(csvLine(['line', 'source', 'reason', 'message', 'raw']));
+    }
+  }
+  
+  /**
+   * Append one rejected line: { lineNumber, source, reason, message, line }
+   */
+  write(rejection) {
+    const entry = {
+      line: rejection.lineNumber,
+      source: rejection.source,
+      reason: rejection.reason,
+      message: rejection.message,
+      raw: rejection.line
+    };
+    
+    this.stream.write(this.format === 'csv' ? csvLine(Object.values(entry)) : ndjsonLine(entry));
+    this.count++;
+  }
+  
+  /**
+   * Flush and close the report
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      const fail = error => reject(new Error(`Failed to write quarantine file ${this.filePath}: ${error.message}`));
+      
+      if (this.error) {
+        this.stream.destroy();
+        fail(this.error);
+        return;
+      }
+      
+      this.stream.end(error => {
+        if (error || this.error) {
+          fail(error || this.error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,102 @@
+// Cron fields in order, with their allowed ranges
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Upper bound for the next-run search: a valid expression matches within
+// four years (29 February every leap year)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Parse one cron field (*, n, a-b, with optional /step, comma lists) into
+ * the set of allowed values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: '${text}'`);
+    }
+    
+    const start = match[1] === '*' ? min : parseInt(match[1], 10);
+    const end = match[1] === '*' ? max : match[2] !== undefined ? parseInt(match[2], 10) : match[3] ? max : start;
+    const step = match[3] ? parseInt(match[3], 10) : 1;
+    
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: '${text}' (allowed ${min}-${max})`);
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day month weekday)
+ * Both 0 and 7 mean Sunday. Evaluated in local time.
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.filter(Boolean).length}: '${expression}'`);
+  }
+  
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+  
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Like cron, a restricted day of month OR day of week matches
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Whether a parsed cron expression matches the minute of a Date
+ */
+function cronMatches(cron, date) {
+  const dayOfMonthMatches = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeekMatches = cron.dayOfWeek.has(date.getDay());
+  const dayMatches = cron.anyDayOfMonth || cron.anyDayOfWeek
+    ? dayOfMonthMatches && dayOfWeekMatches
+    : dayOfMonthMatches || dayOfWeekMatches;
+  
+  return cron.minute.has(date.getMinutes())
+    && cron.hour.has(date.getHours())
+    && cron.month.has(date.getMonth() + 1)
+    && dayMatches;
+}
+
+/**
+ * Next time strictly after `from` matching the cron expression
+ */
+export function nextCronTime(cron, from = new Date()) {
+  const candidate = new Date(from.getTime());
+  candidate.setSeconds(0, 0);
+  
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (cronMatches(cron, candidate)) {
+      return candidate;
+    }
+  }
+  
+  throw new Error('Cron expression never matches');
+}
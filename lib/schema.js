@@ -0,0 +1,113 @@
+import { Logger } from './config.js';
+import { LocalSQLiteClient } from './database.js';
+import { MigrationRunner } from './migrations.js';
+
+// Described once per process: the migration files do not change while it runs
+let expectedPoolSchema = null;
+
+/**
+ * Structure of the pool table as the migrations in migration/ create it,
+ * described by applying them to an in-memory SQLite database
+ * (needs the optional better-sqlite3 package)
+ */
+export async function getExpectedPoolSchema(logger = new Logger()) {
+  if (!expectedPoolSchema) {
+    expectedPoolSchema = describeMigratedPool(logger).catch(error => {
+      expectedPoolSchema = null;
+      throw error;
+    });
+  }
+  return expectedPoolSchema;
+}
+
+/**
+ * Apply every migration to a scratch in-memory database and describe its pool
+ */
+async function describeMigratedPool(logger) {
+  // Warnings only: the scratch database's connect and migrate lines would read
+  // as if the real database had been migrated
+  const level = logger.levels[logger.level] > logger.levels.WARNING ? logger.level : 'WARNING';
+  const quiet = new Logger(level, { format: logger.format, component: 'schema', sink: logger.sink });
+  const client = new LocalSQLiteClient('file::memory:', quiet);
+  
+  if (!(await client.connect())) {
+    throw new Error('Could not open an in-memory database to apply the migrations');
+  }
+  
+  try {
+    await new MigrationRunner(client, quiet).up();
+    return await client.describeTable('pool');
+  } finally {
+    await client.disconnect();
+  }
+}
+
+/**
+ * Compare a table description from DatabaseClient.describeTable() with the
+ * expected one from getExpectedPoolSchema(); returns one message per
+ * difference (empty = no drift)
+ * Extra indexes and triggers are reported too, column order is ignored
+ */
+export function findSchemaDrift(actual, expected) {
+  const drift = [];
+  const actualColumns = new Map(actual.columns.map(column => [column.name, column]));
+  const expectedColumns = new Set(expected.columns.map(column => column.name));
+  
+  for (const column of expected.columns) {
+    const found = actualColumns.get(column.name);
+    
+    if (!found) {
+      drift.push(`missing column ${column.name}`);
+      continue;
+    }
+    
+    if (found.type.toUpperCase() !== column.type.toUpperCase()) {
+      drift.push(`column ${column.name} is ${found.type || 'untyped'}, expected ${column.type}`);
+    }
+    if (found.notNull !== column.notNull) {
+      drift.push(`column ${column.name} is ${found.notNull ? 'NOT NULL' : 'nullable'}, expected ${column.notNull ? 'NOT NULL' : 'nullable'}`);
+    }
+    if (found.primaryKey !== column.primaryKey) {
+      drift.push(`column ${column.name} is ${found.primaryKey ? '' : 'not '}part of the primary key`);
+    }
+  }
+  
+  for (const column of actual.columns) {
+    if (!expectedColumns.has(column.name)) {
+      drift.push(`unexpected column ${column.name}`);
+    }
+  }
+  
+  const actualIndexes = new Map(actual.indexes.map(index => [index.name, index]));
+  const expectedIndexes = new Set(expected.indexes.map(index => index.name));
+  
+  for (const index of expected.indexes) {
+    const found = actualIndexes.get(index.name);
+    
+    if (!found) {
+      drift.push(`missing index ${index.name}`);
+    } else if (found.columns.join(',') !== index.columns.join(',')) {
+      drift.push(`index ${index.name} covers (${found.columns.join(', ')}), expected (${index.columns.join(', ')})`);
+    }
+  }
+  
+  for (const index of actual.indexes) {
+    if (!expectedIndexes.has(index.name)) {
+      drift.push(`unexpected index ${index.name}`);
+    }
+  }
+  
+  for (const trigger of expected.triggers) {
+    if (!actual.triggers.includes(trigger)) {
+      drift.push(`missing trigger ${trigger}`);
+    }
+  }
+  
+  for (const trigger of actual.triggers) {
+    if (!expected.triggers.includes(trigger)) {
+      drift.push(`unexpected trigger ${trigger}`);
+    }
+  }
+  
+  return drift;
+}
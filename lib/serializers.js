@@ -0,0 +1,24 @@
+// Line serialisers shared by the exports and the quarantine report
+// Kept free of imports so the parser path never loads the database driver
+
+/**
+ * Quote a CSV value when it contains separators, quotes or newlines
+ */
+export function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line, newline included
+ */
+export function csvLine(values) {
+  return `${values.map(csvValue).join(',')}\n`;
+}
+
+/**
+ * One NDJSON line, newline included
+ */
+export function ndjsonLine(value) {
+  return `${JSON.stringify(value)}\n`;
+}
@@ -0,0 +1,96 @@
+import { readdirSync, existsSync } from 'fs';
+import { dirname, basename, join, relative, resolve } from 'path';
+
+/**
+ * Convert a basename glob (* and ?) into a RegExp
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')}$`);
+}
+
+/**
+ * Split a source spec (array or comma-separated string) into trimmed patterns
+ */
+function splitSpec(spec) {
+  return (Array.isArray(spec) ? spec : String(spec || '').split(','))
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Expand live source specs into an ordered list of file paths
+ *
+ * `spec` is an array or a comma-separated string of paths and glob patterns
+ * (wildcards are supported in the file name, not in directories). Order is
+ * preserved and defines merge precedence: earlier sources win when the same
+ * proxy appears in several. Glob matches are sorted alphabetically and
+ * patterns that match nothing are dropped.
+ */
+export function resolveSources(spec) {
+  const files = [];
+  
+  for (const pattern of splitSpec(spec)) {
+    if (!/[*?]/.test(pattern)) {
+      files.push(pattern);
+      continue;
+    }
+    
+    const directory = dirname(pattern);
+    if (!existsSync(directory)) {
+      continue;
+    }
+    
+    const matcher = globToRegExp(basename(pattern));
+    const matches = readdirSync(directory, { withFileTypes: true })
+      .filter(entry => entry.isFile() && matcher.test(entry.name))
+      .map(entry => join(directory, entry.name))
+      .sort();
+    files.push(...matches);
+  }
+  
+  // The same file listed twice (directly and via a glob) is read once
+  const seen = new Set();
+  return files.filter(file => {
+    const key = resolve(file);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Directories to watch for changes to a source spec
+ *
+ * Directories are watched rather than files so that files replaced by a
+ * rename, or new files matching a glob, are noticed. Each target carries a
+ * matches(fileName) test for the entries that belong to the spec.
+ */
+export function sourceWatchTargets(spec) {
+  const targets = new Map();
+  
+  for (const pattern of splitSpec(spec)) {
+    const directory = dirname(pattern);
+    const key = resolve(directory);
+    if (!targets.has(key)) {
+      targets.set(key, { directory, matchers: [] });
+    }
+    targets.get(key).matchers.push(globToRegExp(basename(pattern)));
+  }
+  
+  return [...targets.values()].map(({ directory, matchers }) => ({
+    directory,
+    matches: fileName => matchers.some(matcher => matcher.test(fileName))
+  }));
+}
+
+/**
+ * Source tag stored in pool.source for a file: its path relative to the
+ * working directory, or the path as given for files outside of it
+ */
+export function sourceName(filePath) {
+  const relativePath = relative(process.cwd(), resolve(filePath));
+  return relativePath && !relativePath.startsWith('..') ? relativePath : filePath;
+}
@@ -1,6 +1,24 @@
+import { randomUUID } from 'crypto';
 import { ProxyParser } from './parser.js';
-import { SQLiteCloudClient } from './database.js';
-import { Logger } from './config.js';
+import { createDatabaseClient, SwapRefusedError } from './database.js';
+import { Logger, validateConfig } from './config.js';
+import { withLogContext } from './logger.js';
+import { resolveSources } from './sources.js';
+import { QuarantineWriter } from './quarantine.js';
+import { TableJanitor } from './janitor.js';
+import { SyncLock, SyncLockedError } from './lock.js';
+import { MetricsRegistry } from './metrics.js';
+import { WebhookNotifier, NOTIFY_EVENTS } from './notifier.js';
+
+/**
+ * Possible outcomes of ProxySyncEngine.sync()
+ */
+export const SYNC_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  REFUSED: 'refused',
+  LOCKED: 'locked'
+};
 
 /**
  * Main synchronization engine
@@ -8,9 +26,12 @@ import { Logger } from './config.js';
 export class ProxySyncEngine {
   constructor(config, logger = new Logger()) {
     this.config = config;
-    this.logger = logger;
-    this.parser = new ProxyParser(logger);
-    this.dbClient = new SQLiteCloudClient(config.sqliteCloudUrl, logger);
+    this.logger = logger.child('sync-engine');
+    this.parser = new ProxyParser(logger, { format: config.inputFormat, template: config.parserTemplate });
+    this.dbClient = createDatabaseClient(config.sqliteCloudUrl, logger);
+    this.lock = new SyncLock(this.dbClient, logger, { leaseMs: config.lockLeaseSeconds * 1000 });
+    this.metrics = new MetricsRegistry();
+    this.notifier = new WebhookNotifier(config, logger);
     this.stats = {
       totalSyncs: 0,
       successfulSyncs: 0,
@@ -23,39 +44,140 @@ export class ProxySyncEngine {
   
   /**
    * Perform complete synchronization
+   * Resolves to { success, outcome, runId, error?, recordCount?, poolCount?, durationMs }
+   * where outcome is one of SYNC_OUTCOMES; every line logged during the run
+   * carries its runId
    */
   async sync() {
-    const startTime = Date.now();
+    // Ledger entry for this run, written to sync_runs once the outcome is known
+    const run = {
+      runId: randomUUID(),
+      startedAt: new Date().toISOString(),
+      parsedCount: 0,
+      invalidCount: 0,
+      duplicateCount: 0,
+      uniqueCount: 0,
+      poolCount: null,
+      outcome: SYNC_OUTCOMES.FAILED,
+      errorMessage: null,
+      previousPoolCount: null,
+      distribution: null,
+      ledger: null
+    };
+    
+    return withLogContext({ runId: run.runId }, async () => {
+      const result = await this.performSync(run);
+      this.publishMetrics(run, result);
+      // performSync() has released the lock; WEBHOOK_BUDGET_MS bounds the wait
+      await this.sendNotifications(run, result);
+      return { ...result, runId: run.runId };
+    });
+  }
+  
+  /**
+   * Body of sync(), filling in the run entry as it goes
+   */
+  async performSync(run) {
+    const startTime = Date.parse(run.startedAt);
     this.logger.info('Starting proxy synchronization...');
     
     try {
-      // Step 1: Parse live.txt file
-      this.logger.info(`Parsing live file: ${this.config.liveFilePath}`);
-      const records = this.parser.parseFile(this.config.liveFilePath);
-      
-      if (records.length === 0) {
-        this.logger.warn('No valid records found in live.txt');
-        this.stats.failedSyncs++;
-        return false;
+      // Step 1: Resolve live sources and, if configured, run a validation pass
+      // that writes the quarantine report and enforces invalid-line thresholds
+      // before anything touches the database
+      const sources = resolveSources(this.config.liveFilePath);
+      if (sources.length === 0) {
+        throw new Error(`No live files match: ${this.config.liveFilePath}`);
       }
       
-      this.logger.info(`Parsed ${records.length} proxy records`);
+      const scanned = this.scanEnabled();
+      
+      if (scanned) {
+        const abortReason = await this.scanSources(sources);
+        run.parsedCount = this.parser.lastParseStats.validCount;
+        run.invalidCount = this.parser.lastParseStats.invalidCount;
+        if (abortReason) {
+          this.logger.error(`Aborting sync before touching the database: ${abortReason}`);
+          return this.failedResult(abortReason, startTime);
+        }
+      }
       
-      // Step 2: Connect to database
-      if (!(await this.dbClient.connect())) {
+      // Step 2: Connect to database, unless open() already holds a connection
+      const ownsConnection = this.dbClient.db === null;
+      if (ownsConnection && !(await this.dbClient.connect())) {
         this.logger.error('Failed to connect to database');
-        this.stats.failedSyncs++;
-        return false;
+        return this.failedResult('Failed to connect to database', startTime);
       }
       
+      let lockAcquired = false;
+      
       try {
-        // Step 3: Sync data using atomic swap strategy (zero downtime)
-        const actualRecordCount = await this.dbClient.syncProxiesWithSwap(records, this.config.batchSize);
+        // Take the sync lock so overlapping runs cannot race the migrations or
+        // the swap, bring the schema up to date and clear tables left behind
+        // by interrupted syncs before touching the pool
+        await this.lock.acquire(this.config.lockWaitSeconds * 1000);
+        lockAcquired = true;
+        await this.dbClient.migrate();
+        
+        try {
+          await new TableJanitor(this.dbClient, this.logger).sweep(this.config.orphanMaxAgeMinutes);
+        } catch (janitorError) {
+          this.logger.warn(`Failed to clean up orphaned tables: ${janitorError.message}`);
+        }
+        
+        // Pool size before the sync, for the pool_changed notification
+        run.previousPoolCount = await this.dbClient.getProxyCount();
+        
+        // Step 3: Stream-parse the live files straight into the sync, using
+        // atomic swap (zero downtime) or incremental diff, both behind the
+        // mass-deletion guard
+        this.logger.info(`Parsing live file${sources.length > 1 ? 's' : ''}: ${sources.join(', ')}`);
+        const records = this.parser.streamFiles(sources);
+        const guard = this.guardOptions();
         
-        // Step 4: Verify results
+        this.parser.logRejections = !scanned;
+        let actualRecordCount;
+        try {
+          actualRecordCount = this.config.syncMode === 'incremental'
+            ? await this.dbClient.syncProxiesIncremental(records, this.config.batchSize, guard)
+            : await this.dbClient.syncProxiesWithSwap(records, this.config.batchSize, guard, this.config.backupRetention);
+        } finally {
+          this.parser.logRejections = true;
+          run.parsedCount = this.parser.lastParseStats.validCount;
+          run.invalidCount = this.parser.lastParseStats.invalidCount;
+        }
+        
+        const parsedCount = run.parsedCount;
+        
+        for (const [source, counts] of Object.entries(this.parser.lastSourceStats)) {
+          this.logger.info('Parsed source', { source, ...counts });
+        }
+        
+        // Step 4: Bail out without touching the pool if nothing was parsed
+        if (actualRecordCount === 0) {
+          this.logger.warn('No valid records found in live.txt');
+          run.errorMessage = 'No valid records found in live file';
+          return this.failedResult(run.errorMessage, startTime);
+        }
+        
+        // Step 5: Verify results
         const dbCount = await this.dbClient.getProxyCount();
         if (dbCount !== actualRecordCount) {
-          this.logger.warn(`Record count mismatch: expected ${actualRecordCount}, got ${dbCount}`);
+          this.logger.warn('Record count mismatch', { expected: actualRecordCount, poolCount: dbCount });
+        }
+        
+        // Step 6: Record which proxies were seen in this sync
+        try {
+          await this.dbClient.updateProxyHistory();
+        } catch (historyError) {
+          this.logger.warn(`Failed to update proxy history: ${historyError.message}`);
+        }
+        
+        // Pool composition for the metrics
+        try {
+          run.distribution = await this.dbClient.getTableDistribution('pool');
+        } catch (distributionError) {
+          this.logger.warn(`Failed to read pool composition: ${distributionError.message}`);
         }
         
         // Update stats
@@ -65,51 +187,352 @@ export class ProxySyncEngine {
         this.stats.lastSyncTime = new Date().toISOString();
         this.stats.lastError = null;
         
+        run.uniqueCount = actualRecordCount;
+        run.duplicateCount = parsedCount - actualRecordCount;
+        run.poolCount = dbCount;
+        run.outcome = SYNC_OUTCOMES.SUCCESS;
+        
         const duration = Date.now() - startTime;
-        this.logger.info(`Synchronization completed successfully in ${duration}ms`);
-        this.logger.info(`Original records: ${records.length}, Unique records: ${actualRecordCount}, Database count: ${dbCount}`);
+        this.logger.info('Synchronization completed successfully', {
+          durationMs: duration,
+          parsedCount,
+          uniqueCount: actualRecordCount,
+          poolCount: dbCount
+        });
         
-        return true;
+        return {
+          success: true,
+          outcome: SYNC_OUTCOMES.SUCCESS,
+          recordCount: actualRecordCount,
+          poolCount: dbCount,
+          durationMs: duration
+        };
+        
+      } catch (error) {
+        run.errorMessage = error.message;
+        if (error instanceof SwapRefusedError) {
+          run.outcome = SYNC_OUTCOMES.REFUSED;
+        }
+        throw error;
         
       } finally {
-        await this.dbClient.disconnect();
+        // Runs turned away by the lock never started, so they are not recorded
+        if (lockAcquired) {
+          await this.recordRun(run);
+          await this.lock.release();
+          
+          // Ledger totals for the metrics, so a one-shot run still reports
+          // when the pool was last synced successfully
+          try {
+            run.ledger = await this.dbClient.getSyncRunStats();
+          } catch (ledgerError) {
+            this.logger.warn(`Failed to read sync run stats: ${ledgerError.message}`);
+          }
+        }
+        if (ownsConnection) {
+          await this.dbClient.disconnect();
+        }
       }
       
     } catch (error) {
+      if (error instanceof SyncLockedError) {
+        this.logger.warn(`Synchronization skipped: ${error.message}`);
+        return { success: false, outcome: SYNC_OUTCOMES.LOCKED, error: error.message, durationMs: Date.now() - startTime };
+      }
+      
+      if (error instanceof SwapRefusedError) {
+        this.logger.error(`Synchronization refused: ${error.message}`);
+        this.logger.error('Re-run with --force to replace the pool anyway');
+        return this.failedResult(error.message, startTime, SYNC_OUTCOMES.REFUSED);
+      }
+      
       this.logger.error(`Synchronization failed: ${error.message}`);
-      this.stats.totalSyncs++;
-      this.stats.failedSyncs++;
-      this.stats.lastError = error.message;
-      return false;
+      return this.failedResult(error.message, startTime);
     }
   }
   
   /**
-   * Get synchronization statistics
+   * Dry run: parse, validate and deduplicate the live files exactly like
+   * sync(), then diff them against the pool over a read-only connection
+   * Resolves to { success, outcome, report?, error?, durationMs } where report
+   * comes from DatabaseClient.planSync() plus the parse counts
    */
-  getStats() {
+  async dryRun() {
+    const startTime = Date.now();
+    this.logger.info('Starting dry run (nothing will be written to the database)...');
+    
+    const dbClient = createDatabaseClient(this.config.sqliteCloudUrl, this.logger, { readOnly: true });
+    const failed = message => ({ success: false, outcome: SYNC_OUTCOMES.FAILED, error: message, durationMs: Date.now() - startTime });
+    
+    try {
+      const sources = resolveSources(this.config.liveFilePath);
+      if (sources.length === 0) {
+        throw new Error(`No live files match: ${this.config.liveFilePath}`);
+      }
+      
+      const scanned = this.scanEnabled();
+      
+      if (scanned) {
+        const abortReason = await this.scanSources(sources);
+        if (abortReason) {
+          this.logger.error(`A real sync would abort before touching the database: ${abortReason}`);
+          return failed(abortReason);
+        }
+      }
+      
+      this.logger.info(`Parsing live file${sources.length > 1 ? 's' : ''}: ${sources.join(', ')}`);
+      const parsed = [];
+      this.parser.logRejections = !scanned;
+      try {
+        for await (const record of this.parser.streamFiles(sources)) {
+          parsed.push(record);
+        }
+      } finally {
+        this.parser.logRejections = true;
+      }
+      const records = dbClient.removeDuplicates(parsed);
+      
+      if (records.length === 0) {
+        this.logger.warn('No valid records found: a real sync would fail without touching the pool');
+      }
+      
+      if (!(await dbClient.connect())) {
+        return failed('Failed to connect to database');
+      }
+      
+      try {
+        const report = await dbClient.planSync(records, this.guardOptions());
+        
+        return {
+          success: true,
+          outcome: SYNC_OUTCOMES.SUCCESS,
+          report: {
+            syncMode: this.config.syncMode,
+            parsedCount: parsed.length,
+            invalidCount: this.parser.lastParseStats.invalidCount,
+            duplicateCount: parsed.length - records.length,
+            ...report
+          },
+          durationMs: Date.now() - startTime
+        };
+      } finally {
+        await dbClient.disconnect();
+      }
+      
+    } catch (error) {
+      this.logger.error(`Dry run failed: ${error.message}`);
+      return failed(error.message);
+    }
+  }
+  
+  /**
+   * Update the metrics registry with a finished sync() run and, when
+   * METRICS_TEXTFILE is set, write it out for the node_exporter textfile collector
+   * Runs turned away by the lock only count towards proxy_sync_runs_total
+   */
+  publishMetrics(run, result) {
+    const metrics = this.metrics;
+    const finishedAt = Date.now() / 1000;
+    
+    metrics.inc('proxy_sync_runs_total', { outcome: result.outcome });
+    
+    if (result.outcome !== SYNC_OUTCOMES.LOCKED) {
+      const totalLines = run.parsedCount + run.invalidCount;
+      
+      metrics.set('proxy_sync_last_run_timestamp_seconds', finishedAt);
+      metrics.set('proxy_sync_last_run_success', result.success ? 1 : 0);
+      metrics.set('proxy_sync_duration_seconds', result.durationMs / 1000);
+      metrics.set('proxy_sync_parsed_records', run.parsedCount);
+      metrics.set('proxy_sync_invalid_lines', run.invalidCount);
+      metrics.set('proxy_sync_invalid_ratio', totalLines > 0 ? run.invalidCount / totalLines : 0);
+    }
+    
+    if (run.ledger) {
+      metrics.set('proxy_sync_success_ratio', run.ledger.successRate);
+      if (run.ledger.lastSyncTime) {
+        metrics.set('proxy_sync_last_success_timestamp_seconds', Date.parse(run.ledger.lastSyncTime) / 1000);
+      }
+    }
+    
+    if (result.success) {
+      metrics.set('proxy_sync_last_success_timestamp_seconds', finishedAt);
+      metrics.set('proxy_sync_staged_records', run.uniqueCount);
+      metrics.set('proxy_sync_duplicate_records', run.duplicateCount);
+      
+      if (run.distribution) {
+        metrics.setPoolDistribution(run.distribution);
+      } else {
+        metrics.set('proxy_pool_records', run.poolCount);
+      }
+    }
+    
+    if (this.config.metricsTextfile) {
+      try {
+        metrics.writeTextfile(this.config.metricsTextfile);
+        this.logger.debug(`Wrote metrics to ${this.config.metricsTextfile}`);
+      } catch (error) {
+        this.logger.warn(`Failed to write metrics textfile: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Send the webhook notifications for a finished sync() run: sync_failed,
+   * swap_refused, or pool_changed when the pool size moved by more than
+   * POOL_CHANGE_ALERT_PERCENT (not for the first fill of an empty pool)
+   */
+  async sendNotifications(run, result) {
+    const details = { runId: run.runId, parsedCount: run.parsedCount, invalidCount: run.invalidCount };
+    
+    if (result.outcome === SYNC_OUTCOMES.FAILED) {
+      await this.notifier.notify(NOTIFY_EVENTS.SYNC_FAILED, result.error, details);
+    } else if (result.outcome === SYNC_OUTCOMES.REFUSED) {
+      await this.notifier.notify(NOTIFY_EVENTS.SWAP_REFUSED, result.error, { ...details, poolCount: run.previousPoolCount });
+    } else if (result.success && run.previousPoolCount > 0) {
+      const changePercent = ((result.poolCount - run.previousPoolCount) / run.previousPoolCount) * 100;
+      
+      if (Math.abs(changePercent) > this.config.poolChangeAlertPercent) {
+        await this.notifier.notify(
+          NOTIFY_EVENTS.POOL_CHANGED,
+          `Pool ${changePercent < 0 ? 'shrank' : 'grew'} by ${Math.abs(changePercent).toFixed(1)}% (${run.previousPoolCount} -> ${result.poolCount} proxies)`,
+          { ...details, previousPoolCount: run.previousPoolCount, poolCount: result.poolCount, changePercent: Number(changePercent.toFixed(1)) }
+        );
+      }
+    }
+  }
+  
+  /**
+   * Whether the live files get a validation pass before the sync
+   */
+  scanEnabled() {
+    return Boolean(this.config.quarantineFile)
+      || this.config.maxInvalidCount !== null
+      || this.config.maxInvalidPercent !== null;
+  }
+  
+  /**
+   * Mass-deletion guard settings for DatabaseClient sync methods
+   */
+  guardOptions() {
     return {
-      ...this.stats,
-      successRate: this.stats.totalSyncs > 0 
-        ? this.stats.successfulSyncs / this.stats.totalSyncs 
-        : 0
+      maxShrinkPercent: this.config.maxShrinkPercent,
+      minGroupSize: this.config.guardMinGroupSize,
+      force: Boolean(this.config.force)
     };
   }
   
   /**
-   * Validate configuration
+   * Open a database connection that sync() reuses until close() (daemon mode)
    */
-  validateConfig() {
-    const errors = [];
+  async open() {
+    return this.dbClient.db !== null || this.dbClient.connect();
+  }
+  
+  /**
+   * Close the connection opened by open()
+   */
+  async close() {
+    await this.dbClient.disconnect();
+  }
+  
+  /**
+   * Count a run that did not succeed and build its sync() result
+   */
+  failedResult(message, startTime, outcome = SYNC_OUTCOMES.FAILED) {
+    this.stats.totalSyncs++;
+    this.stats.failedSyncs++;
+    this.stats.lastError = message;
+    return { success: false, outcome, error: message, durationMs: Date.now() - startTime };
+  }
+  
+  /**
+   * Validation pass over the live files without touching the database
+   * Writes rejected lines to the quarantine report and checks the invalid-line
+   * thresholds; returns the reason to abort, or null when the sync may proceed
+   */
+  async scanSources(sources) {
+    const quarantine = this.config.quarantineFile
+      ? new QuarantineWriter(this.config.quarantineFile, this.config.quarantineFormat)
+      : null;
+    this.parser.onReject = quarantine ? rejection => quarantine.write(rejection) : null;
+    
+    try {
+      // Only the parse counts and rejections matter here
+      for await (const record of this.parser.streamFiles(sources)) {
+        void record;
+      }
+    } finally {
+      this.parser.onReject = null;
+      if (quarantine) {
+        await quarantine.close();
+        this.logger.info(`Quarantined ${quarantine.count} rejected lines to ${quarantine.filePath}`);
+      }
+    }
+    
+    const { validCount, invalidCount } = this.parser.lastParseStats;
+    const totalLines = validCount + invalidCount;
+    const invalidPercent = totalLines > 0 ? (invalidCount / totalLines) * 100 : 0;
     
-    if (!this.config.sqliteCloudUrl) {
-      errors.push('SQLITECLOUD_URL is required');
+    if (this.config.maxInvalidCount !== null && invalidCount > this.config.maxInvalidCount) {
+      return `${invalidCount} invalid lines exceeds MAX_INVALID_COUNT=${this.config.maxInvalidCount}`;
     }
     
-    if (!this.config.liveFilePath) {
-      errors.push('LIVE_FILE_PATH is required');
+    if (this.config.maxInvalidPercent !== null && invalidPercent > this.config.maxInvalidPercent) {
+      return `${invalidPercent.toFixed(1)}% invalid lines exceeds MAX_INVALID_PERCENT=${this.config.maxInvalidPercent}`;
     }
     
-    return errors;
+    return null;
+  }
+  
+  /**
+   * Write a run to the sync_runs ledger (requires an open connection)
+   * Failures are logged but never fail the sync itself
+   */
+  async recordRun(run) {
+    const finishedAt = Date.now();
+    
+    try {
+      await this.dbClient.recordSyncRun({
+        ...run,
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - Date.parse(run.startedAt)
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to record sync run: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get synchronization statistics from the sync_runs ledger
+   * Falls back to this process' in-memory stats if the database is unreachable
+   */
+  async getStats() {
+    const wasConnected = this.dbClient.db !== null;
+    
+    try {
+      if (wasConnected || await this.dbClient.connect()) {
+        return await this.dbClient.getSyncRunStats();
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to read sync run stats: ${error.message}`);
+    } finally {
+      if (!wasConnected) {
+        await this.dbClient.disconnect();
+      }
+    }
+    
+    return {
+      ...this.stats,
+      successRate: this.stats.totalSyncs > 0 
+        ? this.stats.successfulSyncs / this.stats.totalSyncs 
+        : 0
+    };
+  }
+  
+  /**
+   * Validate configuration against CONFIG_SCHEMA
+   */
+  validateConfig() {
+    return validateConfig(this.config);
   }
 }
@@ -0,0 +1,152 @@
+import { isIP } from 'net';
+import { decomposeProxyUrl } from './formats.js';
+
+/**
+ * Machine-readable reasons a record can be rejected for
+ */
+export const REJECTION_REASONS = {
+  MISSING_FIELD: 'missing_field',
+  INVALID_PROTOCOL: 'invalid_protocol',
+  INVALID_PORT: 'invalid_port',
+  INVALID_HOST: 'invalid_host',
+  INVALID_IP: 'invalid_ip',
+  INVALID_COUNTRY: 'invalid_country',
+  INVALID_LOC: 'invalid_loc',
+  INVALID_TIMEZONE: 'invalid_timezone',
+  INVALID_PROXY_URL: 'invalid_proxy_url',
+  PROXY_PROTOCOL_MISMATCH: 'proxy_protocol_mismatch',
+  PROXY_HOST_MISMATCH: 'proxy_host_mismatch',
+  PROXY_PORT_MISMATCH: 'proxy_port_mismatch',
+  PARSE_ERROR: 'parse_error'
+};
+
+// Proxy protocols mubeng can check
+export const PROTOCOLS = ['http', 'https', 'socks4', 'socks4a', 'socks5', 'socks5h'];
+
+// ISO 3166-1 alpha-2 codes, plus XK (Kosovo) which geo-IP providers return
+const COUNTRY_CODES = new Set([
+  'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT',
+  'AU', 'AW', 'AX', 'AZ', 'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI',
+  'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV', 'BW', 'BY',
+  'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN',
+  'CO', 'CR', 'CU', 'CV', 'CW', 'CX', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM',
+  'DO', 'DZ', 'EC', 'EE', 'EG', 'EH', 'ER', 'ES', 'ET', 'FI', 'FJ', 'FK',
+  'FM', 'FO', 'FR', 'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL',
+  'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY', 'HK', 'HM',
+  'HN', 'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IM', 'IN', 'IO', 'IQ', 'IR',
+  'IS', 'IT', 'JE', 'JM', 'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN',
+  'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS',
+  'LT', 'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK',
+  'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW',
+  'MX', 'MY', 'MZ', 'NA', 'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP',
+  'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL', 'PM',
+  'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO', 'RS', 'RU', 'RW',
+  'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM',
+  'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY', 'SZ', 'TC', 'TD', 'TF',
+  'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW',
+  'TZ', 'UA', 'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI',
+  'VN', 'VU', 'WF', 'WS', 'XK', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
+]);
+
+// RFC 1123 host name: dot-separated labels of letters, digits and inner hyphens
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+// "latitude,longitude" in decimal degrees
+const LOC_PATTERN = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/;
+
+// Timezone lookups are cached since the same few zones repeat on every line
+const timezoneCache = new Map();
+
+/**
+ * Check a timezone name against the IANA database known to the runtime
+ */
+export function isValidTimezone(timezone) {
+  if (!timezoneCache.has(timezone)) {
+    let valid = true;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      valid = false;
+    }
+    timezoneCache.set(timezone, valid);
+  }
+  return timezoneCache.get(timezone);
+}
+
+/**
+ * Check an ISO 3166-1 alpha-2 country code
+ */
+export function isValidCountry(country) {
+  return COUNTRY_CODES.has(country);
+}
+
+function reject(reason, message) {
+  return { valid: false, reason, message };
+}
+
+/**
+ * Validate a normalized ProxyRecord
+ * Returns { valid: true } or { valid: false, reason, message } where reason is
+ * one of REJECTION_REASONS. Optional geo fields may be empty.
+ */
+export function validateRecord(record) {
+  for (const field of ['proxy', 'protocol', 'host']) {
+    if (!record[field]) {
+      return reject(REJECTION_REASONS.MISSING_FIELD, `Missing required field: ${field}`);
+    }
+  }
+  
+  if (!PROTOCOLS.includes(record.protocol)) {
+    return reject(REJECTION_REASONS.INVALID_PROTOCOL, `Unsupported protocol: ${record.protocol}`);
+  }
+  
+  if (!Number.isInteger(record.port) || record.port < 1 || record.port > 65535) {
+    return reject(REJECTION_REASONS.INVALID_PORT, `Port out of range 1-65535: ${record.port}`);
+  }
+  
+  const hostIsIp = isIP(record.host) !== 0;
+  if (!hostIsIp && !HOSTNAME_PATTERN.test(record.host)) {
+    return reject(REJECTION_REASONS.INVALID_HOST, `Invalid host: ${record.host}`);
+  }
+  
+  // ip may only be left empty for hostname proxies whose exit IP is unknown
+  if (record.ip ? isIP(record.ip) === 0 : hostIsIp) {
+    return reject(REJECTION_REASONS.INVALID_IP, `Invalid IP address: ${record.ip || '(empty)'}`);
+  }
+  
+  if (record.country && !isValidCountry(record.country)) {
+    return reject(REJECTION_REASONS.INVALID_COUNTRY, `Unknown ISO country code: ${record.country}`);
+  }
+  
+  if (record.loc) {
+    const match = LOC_PATTERN.exec(record.loc);
+    if (!match || Math.abs(Number(match[1])) > 90 || Math.abs(Number(match[2])) > 180) {
+      return reject(REJECTION_REASONS.INVALID_LOC, `Invalid or out-of-bounds location: ${record.loc}`);
+    }
+  }
+  
+  if (record.timezone && !isValidTimezone(record.timezone)) {
+    return reject(REJECTION_REASONS.INVALID_TIMEZONE, `Unknown timezone: ${record.timezone}`);
+  }
+  
+  let parts;
+  try {
+    parts = decomposeProxyUrl(record.proxy);
+  } catch (error) {
+    return reject(REJECTION_REASONS.INVALID_PROXY_URL, `Invalid proxy URL: ${record.proxy}`);
+  }
+  
+  if (parts.protocol !== record.protocol) {
+    return reject(REJECTION_REASONS.PROXY_PROTOCOL_MISMATCH, `Proxy URL protocol ${parts.protocol} does not match ${record.protocol}`);
+  }
+  
+  if (parts.host.toLowerCase() !== record.host) {
+    return reject(REJECTION_REASONS.PROXY_HOST_MISMATCH, `Proxy URL host ${parts.host} does not match ${record.host}`);
+  }
+  
+  if (Number(parts.port) !== record.port) {
+    return reject(REJECTION_REASONS.PROXY_PORT_MISMATCH, `Proxy URL port ${parts.port} does not match ${record.port}`);
+  }
+  
+  return { valid: true };
+}
@@ -0,0 +1,11 @@
+-- Create proxy_history table tracking how long each proxy has been alive
+CREATE TABLE IF NOT EXISTS proxy_history (
+    proxy TEXT PRIMARY KEY,          -- Full proxy URL (matches pool.proxy)
+    first_seen DATETIME NOT NULL,    -- First sync that saw this proxy
+    last_seen DATETIME NOT NULL,     -- Most recent sync that saw this proxy
+    seen_count INTEGER NOT NULL DEFAULT 0,   -- Number of syncs that saw this proxy
+    missed_count INTEGER NOT NULL DEFAULT 0  -- Number of syncs since first_seen that did not
+);
+
+-- Index for picking long-lived proxies
+CREATE INDEX IF NOT EXISTS idx_proxy_history_last_seen ON proxy_history(last_seen);
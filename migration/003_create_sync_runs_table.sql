@@ -0,0 +1,16 @@
+-- Create sync_runs table as a persistent ledger of synchronization runs
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at DATETIME NOT NULL,    -- Run start (ISO 8601)
+    finished_at DATETIME,            -- Run end (ISO 8601)
+    duration_ms INTEGER,             -- Wall-clock duration in milliseconds
+    parsed_count INTEGER,            -- Valid records parsed from the live file
+    invalid_count INTEGER,           -- Lines rejected by the parser
+    duplicate_count INTEGER,         -- Duplicate proxies dropped before staging
+    unique_count INTEGER,            -- Unique records synced
+    pool_count INTEGER,              -- Rows in pool after the sync
+    outcome TEXT NOT NULL,           -- success or failed
+    error_message TEXT               -- Failure reason, NULL on success
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at);
@@ -0,0 +1,6 @@
+-- Create pool_backups table as the registry of swapped-out pool tables kept for rollback
+CREATE TABLE IF NOT EXISTS pool_backups (
+    table_name TEXT PRIMARY KEY,     -- Backup table name (pool_backup_<timestamp>)
+    created_at DATETIME NOT NULL,    -- When the table was swapped out of pool (ISO 8601)
+    row_count INTEGER NOT NULL       -- Rows in the backup table
+);
@@ -0,0 +1,7 @@
+-- Create sync_lock table holding the lease that serializes sync runs
+CREATE TABLE IF NOT EXISTS sync_lock (
+    name TEXT PRIMARY KEY,           -- Lock name (sync)
+    owner TEXT NOT NULL,             -- Holder: host:pid:random
+    acquired_at DATETIME NOT NULL,   -- When the holder took the lock (ISO 8601)
+    expires_at DATETIME NOT NULL     -- Lease end; an expired lock may be taken over (ISO 8601)
+);
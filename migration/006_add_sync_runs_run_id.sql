@@ -0,0 +1,3 @@
+-- Record the run id that tags every log line of a sync, so ledger rows can be
+-- matched to their logs
+ALTER TABLE sync_runs ADD COLUMN run_id TEXT;
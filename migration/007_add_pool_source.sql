@@ -0,0 +1,2 @@
+-- Record the comma-separated live sources that produced each proxy
+ALTER TABLE pool ADD COLUMN source TEXT;
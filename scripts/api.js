@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Proxy Pool API - Read-only HTTP access to the pool
+ * 
+ * Routes: /proxies, /proxies/random, /stats, /health, /metrics (see lib/api.js)
+ * Listens on API_HOST:API_PORT; SIGTERM / SIGINT stop it cleanly.
+ */
+
+import { checkScriptFlags, config, createLogger, validateConfig } from '../lib/config.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { ProxyApiServer } from '../lib/api.js';
+
+async function main() {
+  const logger = createLogger('api');
+  
+  const configErrors = [...checkScriptFlags(), ...validateConfig()];
+  if (configErrors.length > 0) {
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  const client = createDatabaseClient(config.sqliteCloudUrl, logger, { readOnly: true });
+  
+  try {
+    logger.info('=== Proxy Pool API Starting ===');
+    
+    if (!await client.connect()) {
+      logger.error('❌ Failed to connect to database');
+      process.exit(1);
+    }
+    
+    const api = new ProxyApiServer(client, logger);
+    
+    const shutdown = async (signal) => {
+      logger.info(`🛑 Received ${signal}, shutting down...`);
+      await api.close();
+      await client.disconnect();
+      logger.info('=== Proxy Pool API Stopped ===');
+      process.exit(0);
+    };
+    
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    
+    await api.listen(config.apiPort, config.apiHost);
+    
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    await client.disconnect();
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Configuration - Show the effective settings and where they came from
+ *
+ * Usage:
+ *   node scripts/config.js print [--json] [--config=<file>] [--<setting>=<value> ...]
+ *
+ * Each value comes from, in order of precedence, a CLI flag, the environment
+ * (or .env), the JSON config file or the default. Secrets are masked. Exits
+ * with 1 when the configuration is invalid.
+ */
+
+import { checkScriptFlags, config, configFile, configSources, createLogger, scriptArgs, validateConfig } from '../lib/config.js';
+import { CONFIG_SCHEMA } from '../lib/config-schema.js';
+
+/**
+ * Mask a secret, keeping the scheme and host of URLs recognisable
+ */
+function maskSecret(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSecret);
+  }
+  
+  if (!value) {
+    return value;
+  }
+  
+  try {
+    const url = new URL(value);
+    return url.host ? `${url.protocol}//${url.host}/***` : '***';
+  } catch {
+    return '***';
+  }
+}
+
+/**
+ * Render a value for the text output
+ */
+function displayValue(value) {
+  if (value === null) {
+    return '(unset)';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(',') : '(empty)';
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}=${item}`).join(',');
+  }
+  return value === '' ? '(empty)' : String(value);
+}
+
+function main() {
+  const command = scriptArgs.find(arg => !arg.startsWith('--')) || 'print';
+  const logger = createLogger('config');
+  
+  if (command !== 'print') {
+    logger.error(`Unknown command '${command}' (expected print)`);
+    process.exit(1);
+  }
+  
+  const settings = Object.entries(CONFIG_SCHEMA).map(([key, setting]) => ({
+    key,
+    env: setting.env,
+    value: setting.secret ? maskSecret(config[key]) : config[key],
+    source: configSources[key]
+  }));
+  const errors = [...checkScriptFlags(['--json']), ...validateConfig()];
+  
+  if (scriptArgs.includes('--json')) {
+    console.log(JSON.stringify({
+      configFile,
+      settings: Object.fromEntries(settings.map(({ key, ...setting }) => [key, setting])),
+      errors
+    }, null, 2));
+  } else {
+    const envWidth = Math.max(...settings.map(setting => setting.env.length));
+    const sourceWidth = Math.max(...settings.map(setting => setting.source.length));
+    
+    console.log(`Config file: ${configFile || '(none)'}`);
+    console.log();
+    settings.forEach(setting => {
+      console.log(`${setting.env.padEnd(envWidth)}  ${setting.source.padEnd(sourceWidth)}  ${displayValue(setting.value)}`);
+    });
+    
+    if (errors.length > 0) {
+      console.log();
+      console.log('❌ Configuration errors:');
+      errors.forEach(error => console.log(`   - ${error}`));
+    } else {
+      console.log();
+      console.log('✅ Configuration is valid');
+    }
+  }
+  
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Proxy Sync Daemon - Keeps the pool in sync from a single long-running process
+ * 
+ * Syncs at startup, whenever the live files change (WATCH_LIVE_FILE) and on
+ * a SYNC_INTERVAL / SYNC_CRON schedule, reusing one database connection.
+ * SIGTERM / SIGINT finish the running sync before exiting.
+ */
+
+import { checkScriptFlags, config, createLogger } from '../lib/config.js';
+import { ProxySyncEngine } from '../lib/sync-engine.js';
+import { SyncDaemon } from '../lib/daemon.js';
+import { logProcessErrors } from '../lib/logger.js';
+
+async function main() {
+  const logger = createLogger('daemon');
+  
+  try {
+    logger.info('=== Proxy Sync Daemon Started ===');
+    logger.info(`Live file: ${config.liveFilePath}`);
+    logger.info(`Watch: ${config.watchLiveFile ? `on (${config.watchDebounceMs}ms debounce)` : 'off'}`);
+    logger.info(`Schedule: ${config.syncCron ? `cron '${config.syncCron}'` : config.syncInterval > 0 ? `every ${config.syncInterval}s` : 'off'}`);
+    
+    const syncEngine = new ProxySyncEngine(config, logger);
+    const configErrors = [...checkScriptFlags(), ...syncEngine.validateConfig()];
+    
+    if (configErrors.length > 0) {
+      logger.error('Configuration errors:');
+      configErrors.forEach(error => logger.error(`  - ${error}`));
+      process.exit(1);
+    }
+    
+    const daemon = new SyncDaemon(syncEngine, config, logger);
+    
+    const shutdown = async (signal) => {
+      logger.info(`🛑 Received ${signal}, shutting down...`);
+      
+      // A second signal skips waiting for the running sync
+      process.once(signal, () => process.exit(1));
+      
+      await daemon.stop();
+      logger.info('=== Proxy Sync Daemon Stopped ===');
+      process.exit(0);
+    };
+    
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    
+    await daemon.start();
+    
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+logProcessErrors(createLogger('daemon'));
+
+main();
@@ -3,18 +3,64 @@
  * Health Check Script for Proxy Sync
  * 
  * Checks:
- * 1. Database connectivity
- * 2. Live file existence and age
- * 3. Configuration validation
+ * 1. Database connectivity, historical sync success rate and orphaned tables
+ * 2. Live file existence and age (LIVE_FILE_MAX_AGE_MINUTES)
+ * 3. Pool size (POOL_MIN_SIZE) and freshness (POOL_MAX_AGE_MINUTES)
+ * 4. Schema drift of the pool table against the schema the migrations create
+ * 5. Configuration validation
+ *
+ * A failed age, size, freshness or drift check reports the status configured
+ * in HEALTH_SEVERITIES, which decides the exit code. With --pre-sync, the
+ * checks a sync refreshes (live file age, pool size and freshness) report at
+ * most a warning, so a stale pool does not block the sync that fixes it.
+ *
+ * A status other than healthy is sent to the webhooks subscribed to
+ * health_unhealthy (WEBHOOK_URLS / WEBHOOK_EVENTS).
  */
 
-import { config, Logger } from '../lib/config.js';
-import { SQLiteCloudClient } from '../lib/database.js';
+import { checkScriptFlags, config, createLogger, scriptArgs, validateConfig } from '../lib/config.js';
+import { SEVERITIES } from '../lib/config-schema.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { TableJanitor } from '../lib/janitor.js';
+import { findSchemaDrift, getExpectedPoolSchema } from '../lib/schema.js';
+import { WebhookNotifier, NOTIFY_EVENTS } from '../lib/notifier.js';
+import { resolveSources } from '../lib/sources.js';
+import { logProcessErrors } from '../lib/logger.js';
 import { existsSync, statSync } from 'fs';
 
+// Result of a check that needs the database when it is unreachable
+const SKIPPED = { status: 'skipped', message: 'Skipped: database not available' };
+
+// Checks the sync itself refreshes, capped at warning by --pre-sync
+const PRE_SYNC_CHECKS = ['live_file_age', 'pool_freshness', 'pool_size'];
+
 class HealthChecker {
-  constructor(logger) {
+  constructor(logger, { preSync = false } = {}) {
     this.logger = logger;
+    this.preSync = preSync;
+    // Connection kept open by checkDatabase() for the pool checks
+    this.client = null;
+  }
+  
+  /**
+   * Status reported by a failed check, from HEALTH_SEVERITIES
+   */
+  severity(check) {
+    const severity = config.healthSeverities[check];
+    if (this.preSync && PRE_SYNC_CHECKS.includes(check)) {
+      return 'warning';
+    }
+    return SEVERITIES.includes(severity) ? severity : 'warning';
+  }
+  
+  /**
+   * Close the connection opened by checkDatabase()
+   */
+  async close() {
+    if (this.client) {
+      await this.client.disconnect();
+      this.client = null;
+    }
   }
   
   /**
@@ -32,11 +78,23 @@ class HealthChecker {
     }
     
     try {
-      const client = new SQLiteCloudClient(config.sqliteCloudUrl, this.logger);
+      const client = createDatabaseClient(config.sqliteCloudUrl, this.logger, { readOnly: true });
       
       if (await client.connect()) {
         const healthResult = await client.healthCheck();
-        await client.disconnect();
+        
+        try {
+          const orphans = await new TableJanitor(client, this.logger).findOrphans(config.orphanMaxAgeMinutes);
+          healthResult.orphanedTables = orphans.length;
+        } catch (error) {
+          this.logger.warn(`Could not count orphaned tables: ${error.message}`);
+        }
+        
+        if (healthResult.status === 'healthy') {
+          this.client = client;
+        } else {
+          await client.disconnect();
+        }
         return healthResult;
       } else {
         return {
@@ -60,20 +118,36 @@ class HealthChecker {
    */
   checkLiveFile() {
     try {
-      if (!existsSync(config.liveFilePath)) {
+      const sources = resolveSources(config.liveFilePath);
+      const missingSources = sources.filter(source => !existsSync(source));
+      
+      if (sources.length === 0 || missingSources.length > 0) {
         return {
           status: 'error',
-          message: `Live file not found: ${config.liveFilePath}`
+          message: `Live file not found: ${missingSources.join(', ') || config.liveFilePath}`
         };
       }
       
-      const stats = statSync(config.liveFilePath);
+      const files = sources.map(source => {
+        const stats = statSync(source);
+        return { path: source, sizeBytes: stats.size, lastModified: stats.mtime.toISOString() };
+      });
+      
+      const lastModified = files.map(file => file.lastModified).sort().pop();
+      const ageMinutes = (Date.now() - Date.parse(lastModified)) / 60000;
+      const stale = config.liveFileMaxAgeMinutes > 0 && ageMinutes > config.liveFileMaxAgeMinutes;
       
       return {
-        status: 'healthy',
-        message: 'Live file exists and is readable',
-        fileSizeBytes: stats.size,
-        lastModified: stats.mtime.toISOString()
+        status: stale ? this.severity('live_file_age') : 'healthy',
+        message: stale
+          ? `Live file is stale: last modified ${Math.round(ageMinutes)} min ago (max ${config.liveFileMaxAgeMinutes} min)`
+          : files.length > 1
+            ? `${files.length} live files exist and are readable`
+            : 'Live file exists and is readable',
+        fileSizeBytes: files.reduce((total, file) => total + file.sizeBytes, 0),
+        lastModified,
+        ageMinutes: Math.round(ageMinutes),
+        files
       };
       
     } catch (error) {
@@ -85,26 +159,98 @@ class HealthChecker {
   }
   
   /**
-   * Check configuration
+   * Check the pool holds at least POOL_MIN_SIZE proxies
    */
-  checkConfiguration() {
-    const issues = [];
-    
-    if (!config.sqliteCloudUrl) {
-      issues.push('SQLITECLOUD_URL not set');
+  checkPoolSize(database) {
+    if (!this.client) {
+      return SKIPPED;
     }
     
-    if (!config.liveFilePath) {
-      issues.push('LIVE_FILE_PATH not set');
+    const tooSmall = config.poolMinSize > 0 && database.proxyCount < config.poolMinSize;
+    
+    return {
+      status: tooSmall ? this.severity('pool_size') : 'healthy',
+      message: tooSmall
+        ? `Pool has ${database.proxyCount} proxies, fewer than POOL_MIN_SIZE=${config.poolMinSize}`
+        : `Pool has ${database.proxyCount} proxies`,
+      proxyCount: database.proxyCount,
+      minSize: config.poolMinSize
+    };
+  }
+  
+  /**
+   * Check the pool changed or was synced within POOL_MAX_AGE_MINUTES
+   */
+  async checkPoolFreshness() {
+    if (!this.client) {
+      return SKIPPED;
     }
     
-    if (config.maxRetries < 1) {
-      issues.push('MAX_RETRIES should be >= 1');
+    try {
+      const freshness = await this.client.getPoolFreshness();
+      
+      if (!freshness.freshAt) {
+        return {
+          status: config.poolMaxAgeMinutes > 0 ? this.severity('pool_freshness') : 'healthy',
+          message: 'Pool was never synced',
+          ...freshness
+        };
+      }
+      
+      const ageMinutes = (Date.now() - Date.parse(freshness.freshAt)) / 60000;
+      const stale = config.poolMaxAgeMinutes > 0 && ageMinutes > config.poolMaxAgeMinutes;
+      
+      return {
+        status: stale ? this.severity('pool_freshness') : 'healthy',
+        message: stale
+          ? `Pool is stale: last refreshed ${Math.round(ageMinutes)} min ago (max ${config.poolMaxAgeMinutes} min)`
+          : `Pool refreshed ${Math.round(ageMinutes)} min ago`,
+        ageMinutes: Math.round(ageMinutes),
+        ...freshness
+      };
+      
+    } catch (error) {
+      return {
+        status: this.severity('pool_freshness'),
+        message: `Freshness check failed: ${error.message}`
+      };
+    }
+  }
+  
+  /**
+   * Compare the pool table's columns, indexes and triggers with the ones the
+   * migrations in migration/ create
+   */
+  async checkSchema() {
+    if (!this.client) {
+      return SKIPPED;
     }
     
-    if (config.batchSize < 1) {
-      issues.push('BATCH_SIZE should be >= 1');
+    try {
+      const drift = findSchemaDrift(await this.client.describeTable('pool'), await getExpectedPoolSchema(this.logger));
+      
+      return {
+        status: drift.length > 0 ? this.severity('schema_drift') : 'healthy',
+        message: drift.length > 0
+          ? `Schema drift on pool: ${drift.join('; ')}`
+          : 'Pool schema matches the migrations',
+        drift
+      };
+      
+    } catch (error) {
+      return {
+        status: this.severity('schema_drift'),
+        message: `Schema check failed: ${error.message}`,
+        drift: []
+      };
     }
+  }
+  
+  /**
+   * Check configuration against CONFIG_SCHEMA
+   */
+  checkConfiguration() {
+    const issues = [...checkScriptFlags(['--json', '--pre-sync']), ...validateConfig()];
     
     return {
       status: issues.length > 0 ? 'warning' : 'healthy',
@@ -117,20 +263,22 @@ class HealthChecker {
 }
 
 async function main() {
-  const logger = new Logger(config.logLevel);
-  const healthChecker = new HealthChecker(logger);
+  const logger = createLogger('health-check');
+  const healthChecker = new HealthChecker(logger, { preSync: scriptArgs.includes('--pre-sync') });
   
   // Determine output format
-  const jsonOutput = process.argv.includes('--json');
+  const jsonOutput = scriptArgs.includes('--json');
   
   try {
     // Run all health checks
-    const checks = {
-      timestamp: new Date().toISOString(),
-      database: await healthChecker.checkDatabase(),
-      liveFile: healthChecker.checkLiveFile(),
-      configuration: healthChecker.checkConfiguration()
-    };
+    const checks = { timestamp: new Date().toISOString() };
+    checks.database = await healthChecker.checkDatabase();
+    checks.liveFile = healthChecker.checkLiveFile();
+    checks.poolSize = healthChecker.checkPoolSize(checks.database);
+    checks.poolFreshness = await healthChecker.checkPoolFreshness();
+    checks.schema = await healthChecker.checkSchema();
+    checks.configuration = healthChecker.checkConfiguration();
+    await healthChecker.close();
     
     // Determine overall status
     const statuses = Object.values(checks)
@@ -148,6 +296,20 @@ async function main() {
     
     checks.overallStatus = overallStatus;
     
+    // Alert the webhooks subscribed to health_unhealthy
+    if (overallStatus !== 'healthy') {
+      const checkNames = ['database', 'liveFile', 'poolSize', 'poolFreshness', 'schema', 'configuration'];
+      const problems = checkNames
+        .filter(name => !['healthy', 'skipped'].includes(checks[name].status))
+        .map(name => `${name}: ${checks[name].message}`);
+      
+      await new WebhookNotifier(config, logger).notify(
+        NOTIFY_EVENTS.HEALTH_UNHEALTHY,
+        `Health check ${overallStatus}: ${problems.join('; ')}`,
+        { overallStatus, ...Object.fromEntries(checkNames.map(name => [name, checks[name].status])) }
+      );
+    }
+    
     // Output results
     if (jsonOutput) {
       console.log(JSON.stringify(checks, null, 2));
@@ -156,7 +318,8 @@ async function main() {
         healthy: '✅',
         warning: '⚠️',
         unhealthy: '❌',
-        error: '💥'
+        error: '💥',
+        skipped: '⏭️'
       };
       
       console.log(`Proxy Sync Health Check - ${overallStatus.toUpperCase()}`);
@@ -170,6 +333,17 @@ async function main() {
       if (checks.database.responseTime > 0) {
         console.log(`   Response time: ${checks.database.responseTime}ms`);
       }
+      if (checks.database.orphanedTables > 0) {
+        console.log(`   Orphaned tables: ${checks.database.orphanedTables} (run npm run janitor)`);
+      }
+      if (checks.database.syncRuns && checks.database.syncRuns.totalSyncs > 0) {
+        const syncRuns = checks.database.syncRuns;
+        console.log(`   Sync success rate: ${(syncRuns.successRate * 100).toFixed(1)}% over ${syncRuns.totalSyncs} runs`);
+        console.log(`   Last successful sync: ${syncRuns.lastSyncTime || 'never'}`);
+        if (syncRuns.lastError) {
+          console.log(`   Last error: ${syncRuns.lastError}`);
+        }
+      }
       console.log();
       
       // Live file check
@@ -179,6 +353,36 @@ async function main() {
       if (checks.liveFile.fileSizeBytes) {
         console.log(`   Size: ${checks.liveFile.fileSizeBytes} bytes`);
       }
+      if (checks.liveFile.lastModified) {
+        console.log(`   Last modified: ${checks.liveFile.lastModified} (${checks.liveFile.ageMinutes} min ago)`);
+      }
+      console.log();
+      
+      // Pool size check
+      const sizeEmoji = statusEmojis[checks.poolSize.status] || '❓';
+      console.log(`${sizeEmoji} Pool Size: ${checks.poolSize.status.toUpperCase()}`);
+      console.log(`   ${checks.poolSize.message}`);
+      console.log();
+      
+      // Pool freshness check
+      const freshnessEmoji = statusEmojis[checks.poolFreshness.status] || '❓';
+      console.log(`${freshnessEmoji} Pool Freshness: ${checks.poolFreshness.status.toUpperCase()}`);
+      console.log(`   ${checks.poolFreshness.message}`);
+      if (checks.poolFreshness.lastUpdatedAt || checks.poolFreshness.lastSyncTime) {
+        console.log(`   Newest row update: ${checks.poolFreshness.lastUpdatedAt || 'none'}`);
+        console.log(`   Last successful sync: ${checks.poolFreshness.lastSyncTime || 'never'}`);
+      }
+      console.log();
+      
+      // Schema drift check
+      const schemaEmoji = statusEmojis[checks.schema.status] || '❓';
+      console.log(`${schemaEmoji} Schema: ${checks.schema.status.toUpperCase()}`);
+      if (checks.schema.drift?.length > 0) {
+        console.log('   Schema drift on pool:');
+        checks.schema.drift.forEach(difference => console.log(`   - ${difference}`));
+      } else {
+        console.log(`   ${checks.schema.message}`);
+      }
       console.log();
       
       // Configuration check
@@ -214,10 +418,6 @@ async function main() {
   }
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(3);
-});
+logProcessErrors(createLogger('health-check'), 3);
 
 main();
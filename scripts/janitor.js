@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Table Janitor - Drop pool_temp_* / pool_backup_* tables left by interrupted syncs
+ * 
+ * Usage:
+ *   node scripts/janitor.js [--dry-run] [--max-age <minutes>]
+ * 
+ * Only tables older than ORPHAN_MAX_AGE_MINUTES (or --max-age) are touched;
+ * backups registered for rollback are always kept. Takes the sync lock like a
+ * sync and exits with 3 when another run holds it.
+ */
+
+import { checkScriptFlags, config, createLogger, scriptArgs, validateConfig } from '../lib/config.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { TableJanitor } from '../lib/janitor.js';
+import { SyncLock, SyncLockedError } from '../lib/lock.js';
+
+/**
+ * Read --max-age=<minutes> or --max-age <minutes> as whole minutes
+ * Returns the ORPHAN_MAX_AGE_MINUTES default when absent; throws on anything
+ * but a non-negative integer
+ */
+function parseMaxAge(args) {
+  const index = args.findIndex(arg => arg === '--max-age' || arg.startsWith('--max-age='));
+  if (index === -1) {
+    return config.orphanMaxAgeMinutes;
+  }
+  
+  const [, inlineValue] = args[index].split(/=(.*)/s);
+  const value = inlineValue ?? args[index + 1];
+  
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error('--max-age needs a value');
+  }
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`--max-age must be a whole number of minutes, got '${value}'`);
+  }
+  return parseInt(value, 10);
+}
+
+async function main() {
+  const dryRun = scriptArgs.includes('--dry-run');
+  const logger = createLogger('janitor');
+  let maxAgeMinutes;
+  
+  const configErrors = [...checkScriptFlags(['--dry-run', '--max-age', '--max-age=']), ...validateConfig()];
+  try {
+    maxAgeMinutes = parseMaxAge(scriptArgs);
+  } catch (error) {
+    configErrors.push(error.message);
+  }
+  
+  if (configErrors.length > 0) {
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  const client = createDatabaseClient(config.sqliteCloudUrl, logger);
+  const lock = new SyncLock(client, logger, { leaseMs: config.lockLeaseSeconds * 1000 });
+  let lockAcquired = false;
+  let exitCode = 0;
+  
+  try {
+    if (!await client.connect()) {
+      logger.error('❌ Failed to connect to database');
+      process.exit(1);
+    }
+    
+    // A running sync's staging table would look like an orphan
+    await lock.acquire(config.lockWaitSeconds * 1000);
+    lockAcquired = true;
+    
+    await client.migrate();
+    
+    logger.info(`=== Table Janitor${dryRun ? ' (dry run)' : ''}: tables older than ${maxAgeMinutes} min ===`);
+    const orphans = await new TableJanitor(client, logger).sweep(maxAgeMinutes, { dryRun });
+    
+    if (orphans.length === 0) {
+      logger.info('✅ No orphaned tables found');
+    } else if (dryRun) {
+      logger.info(`🔍 ${orphans.length} orphaned table${orphans.length > 1 ? 's' : ''} would be dropped`);
+    } else {
+      logger.info(`🧹 Dropped ${orphans.length} orphaned table${orphans.length > 1 ? 's' : ''}`);
+    }
+    
+  } catch (error) {
+    if (error instanceof SyncLockedError) {
+      logger.warn(`Janitor skipped: ${error.message}`);
+      exitCode = 3;
+    } else {
+      logger.error(`❌ Janitor failed: ${error.message}`);
+      exitCode = 1;
+    }
+    
+  } finally {
+    if (lockAcquired) {
+      await lock.release();
+    }
+    await client.disconnect();
+    process.exit(exitCode);
+  }
+}
+
+main();
@@ -3,21 +3,25 @@
  * Manual Proxy Sync - One-time synchronization for testing
  * 
  * Usage:
- *   node scripts/manual-sync.js [live_file_path]
+ *   node scripts/manual-sync.js [--force] [live_file_path ...]
+ *
+ * Several files or glob patterns may be given; earlier ones take precedence.
+ * --force replaces the pool even when the mass-deletion guard refuses it.
  */
 
-import { config, Logger } from '../lib/config.js';
+import { checkScriptFlags, config, createLogger, scriptArgs } from '../lib/config.js';
 import { ProxySyncEngine } from '../lib/sync-engine.js';
+import { resolveSources } from '../lib/sources.js';
 import { existsSync } from 'fs';
 
 async function main() {
-  // Get file path from command line or use default
-  const liveFilePath = process.argv[2] || config.liveFilePath;
+  // Get file paths from command line or use default
+  const liveFilePath = scriptArgs.filter(arg => !arg.startsWith('--')).join(',') || config.liveFilePath;
   
-  // Override config with command line argument
-  const testConfig = { ...config, liveFilePath };
+  // Override config with command line arguments
+  const testConfig = { ...config, liveFilePath, force: scriptArgs.includes('--force') };
   
-  const logger = new Logger(testConfig.logLevel);
+  const logger = createLogger('manual-sync');
   
   try {
     logger.info('=== Manual Proxy Sync Started ===');
@@ -25,34 +29,46 @@ async function main() {
     logger.info(`Database: ${testConfig.sqliteCloudUrl ? 'Configured' : 'Not configured'}`);
     
     // Validate configuration
-    if (!testConfig.sqliteCloudUrl) {
-      logger.error('SQLITECLOUD_URL environment variable is required');
-      logger.info('Set it in .env file or export SQLITECLOUD_URL="your-connection-string"');
+    const syncEngine = new ProxySyncEngine(testConfig, logger);
+    const configErrors = [...checkScriptFlags(['--force']), ...syncEngine.validateConfig()];
+    
+    if (configErrors.length > 0) {
+      logger.error('Configuration errors:');
+      configErrors.forEach(error => logger.error(`  - ${error}`));
+      logger.info('Set them in .env, a --config file or the environment, e.g. export SQLITECLOUD_URL="your-connection-string"');
       process.exit(1);
     }
     
-    if (!existsSync(liveFilePath)) {
-      logger.error(`Live file not found: ${liveFilePath}`);
+    const sources = resolveSources(liveFilePath);
+    const missingSources = sources.filter(source => !existsSync(source));
+    
+    if (sources.length === 0 || missingSources.length > 0) {
+      logger.error(`Live file not found: ${missingSources.join(', ') || liveFilePath}`);
       process.exit(1);
     }
     
     // Run synchronization
-    const syncEngine = new ProxySyncEngine(testConfig, logger);
-    const success = await syncEngine.sync();
+    const result = await syncEngine.sync();
     
     // Print stats
-    const stats = syncEngine.getStats();
+    const stats = await syncEngine.getStats();
     logger.info('=== Manual Sync Stats ===');
-    logger.info(JSON.stringify(stats, null, 2));
+    logger.info('Sync stats', stats);
     
-    if (success) {
+    const exitCodes = { success: 0, failed: 1, refused: 2, locked: 3 };
+    
+    if (result.success) {
       logger.info('✅ Manual sync completed successfully!');
-      process.exit(0);
+    } else if (result.outcome === 'refused') {
+      logger.error('🛑 Manual sync refused by mass-deletion guard (use --force to override)');
+    } else if (result.outcome === 'locked') {
+      logger.warn('⏳ Manual sync skipped: another sync is already running');
     } else {
       logger.error('❌ Manual sync failed!');
-      process.exit(1);
     }
     
+    process.exit(exitCodes[result.outcome] ?? 1);
+    
   } catch (error) {
     logger.error(`Manual sync error: ${error.message}`);
     logger.error(error.stack);
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Schema Migrations - Apply or inspect the numbered files in migration/
+ * 
+ * Usage:
+ *   node scripts/migrate.js up       Apply pending migrations
+ *   node scripts/migrate.js status   List applied and pending migrations
+ * 
+ * `up` takes the sync lock like a sync and exits with 3 when another run
+ * holds it.
+ */
+
+import { checkScriptFlags, config, createLogger, scriptArgs, validateConfig } from '../lib/config.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { SyncLock, SyncLockedError } from '../lib/lock.js';
+import { MigrationRunner } from '../lib/migrations.js';
+
+async function main() {
+  const command = scriptArgs[0] || 'status';
+  const logger = createLogger('migrate');
+  
+  if (!['up', 'status'].includes(command)) {
+    logger.error(`Unknown command '${command}' (expected up or status)`);
+    process.exit(1);
+  }
+  
+  const configErrors = [...checkScriptFlags(), ...validateConfig()];
+  if (configErrors.length > 0) {
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  const client = createDatabaseClient(config.sqliteCloudUrl, logger);
+  const lock = new SyncLock(client, logger, { leaseMs: config.lockLeaseSeconds * 1000 });
+  let lockAcquired = false;
+  let exitCode = 0;
+  
+  try {
+    if (!await client.connect()) {
+      logger.error('❌ Failed to connect to database');
+      process.exit(1);
+    }
+    
+    const runner = new MigrationRunner(client, logger);
+    
+    if (command === 'up') {
+      // A sync applying the same migrations meanwhile would race them
+      await lock.acquire(config.lockWaitSeconds * 1000);
+      lockAcquired = true;
+      
+      const applied = await runner.up();
+      logger.info(applied.length > 0
+        ? `✅ Applied ${applied.length} migration${applied.length > 1 ? 's' : ''}`
+        : '✅ Schema is up to date');
+    } else {
+      const migrations = await runner.status();
+      const pending = migrations.filter(migration => !migration.appliedAt);
+      
+      console.log('\n🗂️  Schema Migrations');
+      console.log('='.repeat(50));
+      for (const migration of migrations) {
+        const version = String(migration.version).padStart(3, '0');
+        console.log(`${migration.appliedAt ? '✅' : '⏳'} ${version} ${migration.name}  ${migration.appliedAt || 'pending'}`);
+      }
+      console.log(`\n${pending.length} pending migration${pending.length === 1 ? '' : 's'}\n`);
+    }
+    
+  } catch (error) {
+    if (error instanceof SyncLockedError) {
+      logger.warn(`Migration skipped: ${error.message}`);
+      exitCode = 3;
+    } else {
+      logger.error(`❌ Migration failed: ${error.message}`);
+      exitCode = 1;
+    }
+    
+  } finally {
+    if (lockAcquired) {
+      await lock.release();
+    }
+    await client.disconnect();
+    process.exit(exitCode);
+  }
+}
+
+main();
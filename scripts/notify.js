@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Webhook Test - Send a sample notification to the configured webhooks
+ * 
+ * Usage:
+ *   node scripts/notify.js [event]
+ * 
+ * event defaults to `test`, which every webhook receives; other events
+ * (sync_failed, swap_refused, pool_changed, health_unhealthy) only go to the
+ * webhooks subscribed to them. Point WEBHOOK_URLS at a local HTTP server to
+ * inspect the payloads.
+ */
+
+import { checkScriptFlags, config, createLogger, scriptArgs } from '../lib/config.js';
+import { WebhookNotifier, NOTIFY_EVENTS } from '../lib/notifier.js';
+
+// Sample details per event, shaped like the real notifications
+const SAMPLE_DETAILS = {
+  [NOTIFY_EVENTS.SYNC_FAILED]: { runId: 'sample', parsedCount: 0, invalidCount: 0 },
+  [NOTIFY_EVENTS.SWAP_REFUSED]: { runId: 'sample', parsedCount: 400, invalidCount: 12, poolCount: 5000 },
+  [NOTIFY_EVENTS.POOL_CHANGED]: { runId: 'sample', previousPoolCount: 5000, poolCount: 3500, changePercent: -30 },
+  [NOTIFY_EVENTS.HEALTH_UNHEALTHY]: { overallStatus: 'unhealthy', database: 'unhealthy', liveFile: 'healthy', configuration: 'healthy' },
+  [NOTIFY_EVENTS.TEST]: {}
+};
+
+async function main() {
+  const logger = createLogger('notify');
+  const event = scriptArgs[0] || NOTIFY_EVENTS.TEST;
+  
+  const configErrors = checkScriptFlags();
+  if (configErrors.length > 0) {
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  if (!Object.values(NOTIFY_EVENTS).includes(event)) {
+    logger.error(`Unknown event '${event}' (expected ${Object.values(NOTIFY_EVENTS).join(', ')})`);
+    process.exit(1);
+  }
+  
+  if (config.webhookUrls.length === 0) {
+    logger.error('WEBHOOK_URLS is not set');
+    process.exit(1);
+  }
+  
+  const notifier = new WebhookNotifier(config, logger);
+  const results = await notifier.notify(event, `Sample ${event} notification from npm run notify`, SAMPLE_DETAILS[event]);
+  
+  if (results.length === 0) {
+    logger.warn(`No webhook is subscribed to ${event} (WEBHOOK_EVENTS=${config.webhookEvents.join(',')})`);
+    process.exit(1);
+  }
+  
+  for (const result of results) {
+    console.log(result.ok ? `✅ ${result.webhook}: HTTP ${result.status}` : `❌ ${result.webhook}: ${result.error}`);
+  }
+  
+  process.exit(results.every(result => result.ok) ? 0 : 1);
+}
+
+main();
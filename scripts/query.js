@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Proxy Query - Print a filtered proxy list from the pool
+ * 
+ * Usage:
+ *   node scripts/query.js [filters] [--format plain|json|csv]
+ * 
+ * Filters:
+ *   --protocol <list>   e.g. socks5 or http,https
+ *   --country <list>    ISO country codes, e.g. ID or ID,SG
+ *   --region <list>     region names (case-insensitive)
+ *   --city <list>       city names (case-insensitive)
+ *   --org <text>        organization substring
+ *   --has-hostname      only proxies with a hostname
+ *   --no-hostname       only proxies without a hostname
+ *   --min-uptime <r>    only proxies with an uptime ratio of at least r (0-1)
+ *   --limit <n>         at most n proxies
+ *   --sort <order>      proxy (default) or uptime (most stable first)
+ *   --random            random order instead of sorted
+ *   --history           add first_seen, last_seen, seen_count, missed_count
+ *                       and uptime_ratio to json and csv output
+ * 
+ * The list goes to stdout (plain = one proxy URL per line, ready for
+ * `mubeng -f`); logs go to stderr.
+ */
+
+import { config, createLogger, scriptArgs, validateConfig } from '../lib/config.js';
+import { createDatabaseClient, PROXY_SORT_ORDERS } from '../lib/database.js';
+import { formatProxies, listExportFormats } from '../lib/export.js';
+
+const VALUE_OPTIONS = ['protocol', 'country', 'region', 'city', 'org', 'min-uptime', 'limit', 'sort', 'format'];
+const FLAG_OPTIONS = ['has-hostname', 'no-hostname', 'random', 'history'];
+
+/**
+ * Parse --name value / --name=value options and boolean flags
+ */
+function parseArgs(args) {
+  const options = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    const [name, inlineValue] = args[i].replace(/^--/, '').split(/=(.*)/s);
+    
+    if (!args[i].startsWith('--')) {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    } else if (FLAG_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = inlineValue ?? args[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`--${name} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+  
+  return options;
+}
+
+async function main() {
+  const logger = createLogger('query');
+  let options;
+  
+  try {
+    options = parseArgs(scriptArgs);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  
+  const format = options.format || 'plain';
+  const limit = options.limit === undefined ? null : Number(options.limit);
+  const minUptime = options['min-uptime'] === undefined ? null : Number(options['min-uptime']);
+  const sort = options.sort || 'proxy';
+  const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+  
+  if (!listExportFormats().includes(format)) {
+    logger.error(`--format must be one of ${listExportFormats().join(', ')}, got '${format}'`);
+    process.exit(1);
+  }
+  
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    logger.error(`--limit must be a positive integer, got '${options.limit}'`);
+    process.exit(1);
+  }
+  
+  if (minUptime !== null && !(minUptime >= 0 && minUptime <= 1)) {
+    logger.error(`--min-uptime must be a ratio between 0 and 1, got '${options['min-uptime']}'`);
+    process.exit(1);
+  }
+  
+  if (!PROXY_SORT_ORDERS.includes(sort)) {
+    logger.error(`--sort must be one of ${PROXY_SORT_ORDERS.join(', ')}, got '${sort}'`);
+    process.exit(1);
+  }
+  
+  if (options.sort && options.random) {
+    logger.error('--sort and --random cannot be combined');
+    process.exit(1);
+  }
+  
+  if (options['has-hostname'] && options['no-hostname']) {
+    logger.error('--has-hostname and --no-hostname cannot be combined');
+    process.exit(1);
+  }
+  
+  const configErrors = validateConfig();
+  if (configErrors.length > 0) {
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  const client = createDatabaseClient(config.sqliteCloudUrl, logger, { readOnly: true });
+  
+  try {
+    if (!await client.connect()) {
+      logger.error('❌ Failed to connect to database');
+      process.exit(1);
+    }
+    
+    const rows = await client.queryProxies({
+      protocol: list(options.protocol),
+      country: list(options.country),
+      region: list(options.region),
+      city: list(options.city),
+      org: options.org,
+      hasHostname: options['has-hostname'] ? true : options['no-hostname'] ? false : undefined,
+      minUptime,
+      limit,
+      sort,
+      random: Boolean(options.random),
+      history: Boolean(options.history)
+    });
+    
+    process.stdout.write(formatProxies(rows, format, { history: Boolean(options.history) }));
+    logger.debug(`Exported ${rows.length} proxies as ${format}`);
+    
+    await client.disconnect();
+    process.exit(0);
+    
+  } catch (error) {
+    logger.error(`❌ Query failed: ${error.message}`);
+    await client.disconnect();
+    process.exit(1);
+  }
+}
+
+main();
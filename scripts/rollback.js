@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Pool Rollback - Swap a kept backup table back into pool
+ *
+ * Usage:
+ *   node scripts/rollback.js --list
+ *   node scripts/rollback.js [backup_table]
+ *
+ * Without a table name the most recent backup is restored. The replaced pool
+ * is kept as a new backup, so a rollback can itself be rolled back. Takes the
+ * sync lock like a sync and exits with 3 when another run holds it; --list
+ * only reads, over a read-only connection.
+ */
+
+import { checkScriptFlags, config, createLogger, scriptArgs, validateConfig } from '../lib/config.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { SyncLock, SyncLockedError } from '../lib/lock.js';
+
+async function main() {
+  const listOnly = scriptArgs.includes('--list');
+  const requestedTable = scriptArgs.find(arg => !arg.startsWith('--'));
+  
+  const logger = createLogger('rollback');
+  
+  const configErrors = [...checkScriptFlags(['--list']), ...validateConfig()];
+  if (configErrors.length > 0) {
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  // Listing only reads the registry: no lock, no migrations
+  const client = createDatabaseClient(config.sqliteCloudUrl, logger, { readOnly: listOnly });
+  const lock = new SyncLock(client, logger, { leaseMs: config.lockLeaseSeconds * 1000 });
+  let lockAcquired = false;
+  let exitCode = 0;
+  
+  try {
+    if (!await client.connect()) {
+      logger.error('❌ Failed to connect to database');
+      process.exit(1);
+    }
+    
+    if (listOnly) {
+      const backups = await client.listBackups();
+      console.log('\n💾 Pool Backups (newest first)');
+      console.log('='.repeat(50));
+      if (backups.length === 0) {
+        console.log('No backups kept (see BACKUP_RETENTION)');
+      }
+      for (const backup of backups) {
+        console.log(`${backup.table_name}  ${backup.created_at}  ${backup.row_count} rows`);
+      }
+      console.log();
+      return;
+    }
+    
+    // A sync swapping the pool meanwhile would race the rename
+    await lock.acquire(config.lockWaitSeconds * 1000);
+    lockAcquired = true;
+    
+    await client.migrate();
+    const backups = await client.listBackups();
+    
+    const tableName = requestedTable || backups[0]?.table_name;
+    
+    if (!tableName) {
+      logger.error('❌ No backup available to roll back to');
+      exitCode = 1;
+      return;
+    }
+    
+    logger.info(`=== Rolling Back Pool to ${tableName} ===`);
+    const restoredCount = await client.restoreBackup(tableName, Math.max(config.backupRetention, 1));
+    logger.info(`✅ Rollback completed: pool now holds ${restoredCount} records`);
+    
+  } catch (error) {
+    if (error instanceof SyncLockedError) {
+      logger.warn(`Rollback skipped: ${error.message}`);
+      exitCode = 3;
+    } else {
+      logger.error(`❌ Rollback failed: ${error.message}`);
+      exitCode = 1;
+    }
+    
+  } finally {
+    if (lockAcquired) {
+      await lock.release();
+    }
+    await client.disconnect();
+    process.exit(exitCode);
+  }
+}
+
+main();
@@ -3,22 +3,80 @@
  * Main Proxy Synchronization Script
  * 
  * Synchronizes live.txt with database
+ * 
+ * Usage:
+ *   node scripts/sync.js [--force] [--dry-run]
+ * 
+ * --force replaces the pool even when the mass-deletion guard refuses it.
+ * --dry-run reports the planned changes over a read-only connection.
+ * Exit codes: 0 success, 1 failed, 2 refused by the mass-deletion guard,
+ * 3 another sync is already running
  */
 
-import { config, Logger } from '../lib/config.js';
+import { checkScriptFlags, config, createLogger, scriptArgs } from '../lib/config.js';
 import { ProxySyncEngine } from '../lib/sync-engine.js';
+import { resolveSources } from '../lib/sources.js';
+import { logProcessErrors } from '../lib/logger.js';
 import { existsSync } from 'fs';
 
+/**
+ * Log the planned changes of a dry run
+ */
+function printDryRunReport(report, logger) {
+  const signed = (value, sign) => (value ? `${sign}${value}` : '');
+  const breakdown = (dimension) => {
+    const keys = new Set([
+      ...Object.keys(report.added[dimension]),
+      ...Object.keys(report.removed[dimension]),
+      ...Object.keys(report.changed[dimension])
+    ]);
+    
+    return [...keys]
+      .map(key => ({
+        key: key || '(none)',
+        added: report.added[dimension][key] || 0,
+        removed: report.removed[dimension][key] || 0,
+        changed: report.changed[dimension][key] || 0
+      }))
+      .sort((a, b) => (b.added + b.removed + b.changed) - (a.added + a.removed + a.changed))
+      .map(row => `${row.key}: ${[signed(row.added, '+'), signed(row.removed, '-'), signed(row.changed, '~')].filter(Boolean).join(' ')}`);
+  };
+  
+  logger.info('=== Dry Run: Planned Changes ===');
+  logger.info(`Sync mode: ${report.syncMode}`);
+  logger.info(`Parsed: ${report.parsedCount} records, ${report.invalidCount} invalid lines, ${report.duplicateCount} duplicates`);
+  logger.info(`Pool: ${report.currentCount} -> ${report.nextCount} records`);
+  logger.info(`Added: ${report.added.total}, Removed: ${report.removed.total}, Changed: ${report.changed.total}`);
+  
+  const changedColumns = Object.entries(report.changedColumns).map(([column, count]) => `${column} (${count})`);
+  if (changedColumns.length > 0) {
+    logger.info(`Changed columns: ${changedColumns.join(', ')}`);
+  }
+  
+  for (const [title, dimension] of [['By protocol', 'protocol'], ['By country', 'country']]) {
+    const lines = breakdown(dimension);
+    if (lines.length > 0) {
+      logger.info(`${title}:`);
+      lines.forEach(line => logger.info(`  ${line}`));
+    }
+  }
+  
+  if (report.guardViolations.length > 0) {
+    logger.warn(`Mass-deletion guard would refuse this sync: ${report.guardViolations.map(v => `${v.group} ${v.before} -> ${v.after} (-${v.shrinkPercent.toFixed(1)}%)`).join(', ')}`);
+  }
+}
+
 async function main() {
-  const logger = new Logger(config.logLevel);
+  const logger = createLogger('sync');
   
   try {
     logger.info('=== Proxy Pool Synchronization Started ===');
     logger.info(`Live file: ${config.liveFilePath}`);
     logger.info(`Database: ${config.sqliteCloudUrl ? 'Connected' : 'Not configured'}`);
     
-    const syncEngine = new ProxySyncEngine(config, logger);
-    const configErrors = syncEngine.validateConfig();
+    const syncConfig = { ...config, force: scriptArgs.includes('--force') };
+    const syncEngine = new ProxySyncEngine(syncConfig, logger);
+    const configErrors = [...checkScriptFlags(['--force', '--dry-run']), ...syncEngine.validateConfig()];
     
     if (configErrors.length > 0) {
       logger.error('Configuration errors:');
@@ -26,14 +84,30 @@ async function main() {
       process.exit(1);
     }
     
-    if (!existsSync(config.liveFilePath)) {
-      logger.error(`Live file not found: ${config.liveFilePath}`);
+    const sources = resolveSources(config.liveFilePath);
+    const missingSources = sources.filter(source => !existsSync(source));
+    
+    if (sources.length === 0 || missingSources.length > 0) {
+      logger.error(`Live file not found: ${missingSources.join(', ') || config.liveFilePath}`);
       process.exit(1);
     }
     
-    const success = await syncEngine.sync();
+    if (scriptArgs.includes('--dry-run')) {
+      const result = await syncEngine.dryRun();
+      
+      if (result.success) {
+        printDryRunReport(result.report, logger);
+        logger.info('=== Dry Run Completed: Nothing Was Written ===');
+      } else {
+        logger.error('=== Dry Run Failed ===');
+      }
+      
+      process.exit(result.success ? 0 : 1);
+    }
     
-    const stats = syncEngine.getStats();
+    const result = await syncEngine.sync();
+    
+    const stats = await syncEngine.getStats();
     logger.info('=== Synchronization Stats ===');
     logger.info(`Total syncs: ${stats.totalSyncs}`);
     logger.info(`Successful: ${stats.successfulSyncs}`);
@@ -46,14 +120,20 @@ async function main() {
       logger.error(`Last error: ${stats.lastError}`);
     }
     
-    if (success) {
+    const exitCodes = { success: 0, failed: 1, refused: 2, locked: 3 };
+    
+    if (result.success) {
       logger.info('=== Synchronization Completed Successfully ===');
-      process.exit(0);
+    } else if (result.outcome === 'refused') {
+      logger.error('=== Synchronization Refused by Mass-Deletion Guard ===');
+    } else if (result.outcome === 'locked') {
+      logger.warn('=== Synchronization Skipped: Another Sync Is Already Running ===');
     } else {
       logger.error('=== Synchronization Failed ===');
-      process.exit(1);
     }
     
+    process.exit(exitCodes[result.outcome] ?? 1);
+    
   } catch (error) {
     logger.error(`Fatal error: ${error.message}`);
     logger.error(error.stack);
@@ -61,14 +141,6 @@ async function main() {
   }
 }
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
-
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+logProcessErrors(createLogger('sync'));
 
 main();
@@ -1,36 +1,44 @@
 #!/usr/bin/env bun
 /**
  * Simple connection test script to debug SQLite Cloud issues
+ * Also works against a local SQLite file (SQLITECLOUD_URL=file:./pool.db)
  */
 
-import { Database } from '@sqlitecloud/drivers';
+import { createDatabaseClient, LocalSQLiteClient } from '../lib/database.js';
+import { checkScriptFlags, config, createLogger, Logger, validateConfig } from '../lib/config.js';
+import { redact } from '../lib/logger.js';
 
 async function testConnection() {
-  const connectionString = process.env.SQLITECLOUD_URL;
+  const configErrors = [...checkScriptFlags(), ...validateConfig()];
   
-  if (!connectionString) {
-    console.error('❌ SQLITECLOUD_URL not set');
+  if (configErrors.length > 0) {
+    const logger = createLogger('test-connection');
+    logger.error('Configuration errors:');
+    configErrors.forEach(error => logger.error(`  - ${error}`));
     process.exit(1);
   }
   
-  console.log('🔍 Testing SQLite Cloud connection...');
-  console.log(`📡 Connection: ${connectionString.replace(/apikey=[^&]+/, 'apikey=***')}`);
+  const connectionString = config.sqliteCloudUrl;
+  const client = createDatabaseClient(connectionString, new Logger('ERROR'));
+  const isLocal = client instanceof LocalSQLiteClient;
+  
+  console.log(`🔍 Testing ${isLocal ? 'local SQLite' : 'SQLite Cloud'} connection...`);
+  console.log(`📡 Connection: ${redact(connectionString)}`);
   
   try {
-    console.log('⏳ Creating database instance...');
-    const db = new Database(connectionString);
-    
-    console.log('⏳ Waiting for connection to establish...');
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    console.log('⏳ Connecting...');
+    if (!(await client.connect())) {
+      throw new Error('Connection error');
+    }
     
     console.log('⏳ Testing with simple query...');
-    const result = await db.sql`SELECT 1 as test, datetime('now') as timestamp`;
+    const result = await client.query(`SELECT 1 as test, datetime('now') as timestamp`);
     
     console.log('✅ Connection successful!');
     console.log('📊 Result:', JSON.stringify(result, null, 2));
     
     console.log('⏳ Closing connection...');
-    await db.close();
+    await client.disconnect();
     
     console.log('✅ Test completed successfully!');
     
@@ -41,11 +49,16 @@ async function testConnection() {
     console.error('📚 Stack:', error.stack);
     
     console.log('\n🔧 Troubleshooting tips:');
-    console.log('1. Verify your SQLite Cloud cluster is running');
-    console.log('2. Check your API key is correct and has permissions');
-    console.log('3. Ensure the database name exists');
-    console.log('4. Try accessing the cluster from SQLite Cloud dashboard');
-    console.log('5. Check if your network allows connections to SQLite Cloud');
+    if (isLocal) {
+      console.log('1. Check that the directory for the database file exists and is writable');
+      console.log('2. Ensure better-sqlite3 is installed (npm install)');
+    } else {
+      console.log('1. Verify your SQLite Cloud cluster is running');
+      console.log('2. Check your API key is correct and has permissions');
+      console.log('3. Ensure the database name exists');
+      console.log('4. Try accessing the cluster from SQLite Cloud dashboard');
+      console.log('5. Check if your network allows connections to SQLite Cloud');
+    }
     
     process.exit(1);
   }
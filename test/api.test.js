@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProxyApiServer } from '../lib/api.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { createEngine, HTTP_PROXY, logger, rawRequest, SOCKS_PROXY, SOCKS5_PROXY, workspace } from './helpers.js';
+
+/**
+ * API server on an ephemeral port over a synced pool, closed when the test
+ * ends; returns a fetch helper for its routes
+ */
+async function startApi(t) {
+  const space = workspace(t);
+  await createEngine(space, space.writeLive([HTTP_PROXY, SOCKS_PROXY, SOCKS5_PROXY])).sync();
+  
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  await client.connect();
+  const api = new ProxyApiServer(client, logger);
+  const { port } = await api.listen(0, '127.0.0.1');
+  
+  t.after(async () => {
+    await api.close();
+    await client.disconnect();
+  });
+  
+  return {
+    port,
+    async get(path, options = {}) {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, options);
+      const text = await response.text();
+      const isJson = response.headers.get('content-type').startsWith('application/json');
+      return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    }
+  };
+}
+
+test('GET /proxies filters the pool', async (t) => {
+  const api = await startApi(t);
+  const proxies = async query => (await api.get(`/proxies?${query}`)).body.proxies.map(proxy => proxy.proxy);
+  
+  assert.deepEqual(await proxies('protocol=socks4,socks5'), ['socks4://198.51.100.5:1080', 'socks5://203.0.113.7:1080']);
+  assert.deepEqual(await proxies('country=us'), ['http://192.0.2.10:8080']);
+  assert.deepEqual(await proxies('org=sample'), ['socks5://203.0.113.7:1080']);
+  assert.deepEqual(await proxies('has_hostname=true'), ['socks4://198.51.100.5:1080']);
+  assert.deepEqual(await proxies('city=London&has_hostname=false'), []);
+  assert.deepEqual(await proxies('min_uptime=1&sort=uptime&limit=1'), ['http://192.0.2.10:8080']);
+  
+  const { body } = await api.get('/proxies?country=DE&history=true');
+  assert.equal(body.total, 1);
+  assert.equal(body.proxies[0].seen_count, 1);
+  assert.equal(body.proxies[0].uptime_ratio, 1);
+});
+
+test('GET /proxies pages through the pool with limit and offset', async (t) => {
+  const api = await startApi(t);
+  
+  const { body } = await api.get('/proxies?limit=2&offset=1');
+  assert.equal(body.total, 3);
+  assert.equal(body.limit, 2);
+  assert.equal(body.offset, 1);
+  assert.deepEqual(body.proxies.map(proxy => proxy.proxy), ['socks4://198.51.100.5:1080', 'socks5://203.0.113.7:1080']);
+  
+  assert.deepEqual((await api.get('/proxies?offset=3')).body.proxies, []);
+  
+  const plain = await api.get('/proxies?format=plain&limit=1');
+  assert.equal(plain.status, 200);
+  assert.equal(plain.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.equal(plain.body, 'http://192.0.2.10:8080\n');
+});
+
+test('GET /proxies/random and /stats answer from the pool', async (t) => {
+  const api = await startApi(t);
+  
+  assert.equal((await api.get('/proxies/random?country=GB')).body.proxy, 'socks4://198.51.100.5:1080');
+  assert.equal((await api.get('/proxies/random?count=5')).body.proxies.length, 3);
+  assert.equal((await api.get('/proxies/random?country=FR')).status, 404);
+  
+  const { body } = await api.get('/stats');
+  assert.equal(body.total, 3);
+  assert.deepEqual(body.protocol, { http: 1, socks4: 1, socks5: 1 });
+});
+
+test('unknown routes are 404, other methods 405 and bad parameters 400', async (t) => {
+  const api = await startApi(t);
+  
+  const missing = await api.get('/nope');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, 'Not found: /nope');
+  
+  const posted = await api.get('/proxies', { method: 'POST' });
+  assert.equal(posted.status, 405);
+  assert.equal(posted.headers.get('allow'), 'GET, HEAD');
+  
+  for (const query of ['limit=0', 'limit=1001', 'offset=-1', 'limit=5x', 'format=xml', 'has_hostname=yes', 'min_uptime=2', 'sort=fastest', 'history=1']) {
+    const { status, body } = await api.get(`/proxies?${query}`);
+    assert.equal(status, 400, query);
+    assert.ok(body.error, query);
+  }
+  assert.equal((await api.get('/proxies/random?count=0')).status, 400);
+});
+
+test('a malformed request line is answered with 400 and the server keeps running', async (t) => {
+  const api = await startApi(t);
+  
+  assert.equal(await rawRequest(api.port, 'GET //[ HTTP/1.1'), 'HTTP/1.1 400 Bad Request');
+  assert.equal((await api.get('/stats')).status, 200);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabaseClient } from '../lib/database.js';
+import { createEngine, HTTP_PROXY, logger, readPool, SOCKS_PROXY, SOCKS5_PROXY, workspace } from './helpers.js';
+
+/**
+ * Writable client for a workspace database, disconnected when the test ends
+ */
+async function connect(t, space) {
+  const client = createDatabaseClient(space.databaseUrl, logger);
+  assert.ok(await client.connect());
+  t.after(() => client.disconnect());
+  return client;
+}
+
+/**
+ * Names of the pool_backup_* tables present in the database
+ */
+async function backupTables(client) {
+  const rows = await client.db.sql("SELECT name FROM sqlite_master WHERE type = 'table' AND name GLOB 'pool_backup_[0-9]*' ORDER BY name");
+  return rows.map(row => row.name);
+}
+
+test('swap sync keeps only the newest backupRetention backups', async (t) => {
+  const space = workspace(t);
+  const pools = [[HTTP_PROXY], [HTTP_PROXY, SOCKS_PROXY], [HTTP_PROXY, SOCKS_PROXY, SOCKS5_PROXY], [SOCKS5_PROXY]];
+  
+  for (const lines of pools) {
+    await createEngine(space, space.writeLive(lines), { backupRetention: 2 }).sync();
+  }
+  
+  const client = await connect(t, space);
+  const backups = await client.listBackups();
+  
+  // Newest first: the pools replaced by the fourth and third syncs
+  assert.deepEqual(backups.map(backup => backup.row_count), [3, 2]);
+  assert.deepEqual(await backupTables(client), backups.map(backup => backup.table_name).sort());
+  
+  // Without retention the swapped-out pool is dropped at once
+  await createEngine(space, space.writeLive([HTTP_PROXY]), { backupRetention: 0 }).sync();
+  assert.deepEqual(await client.listBackups(), []);
+  assert.deepEqual(await backupTables(client), []);
+});
+
+test('restoreBackup swaps a backup back and keeps the replaced pool', async (t) => {
+  const space = workspace(t);
+  
+  await createEngine(space, space.writeLive([HTTP_PROXY]), { backupRetention: 2 }).sync();
+  await createEngine(space, space.writeLive([SOCKS_PROXY, SOCKS5_PROXY]), { backupRetention: 2 }).sync();
+  
+  const client = await connect(t, space);
+  const [backup] = await client.listBackups();
+  const indexes = "SELECT name FROM sqlite_master WHERE tbl_name = 'pool' AND type IN ('index', 'trigger') ORDER BY name";
+  const definitions = await client.db.sql(indexes);
+  
+  assert.equal(await client.restoreBackup(backup.table_name, 2), 1);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), ['http://192.0.2.10:8080']);
+  assert.deepEqual(await client.db.sql(indexes), definitions);
+  
+  // The restored table left the registry; the replaced pool took its place
+  // next to the empty pool swapped out by the first sync
+  const backups = await client.listBackups();
+  const [replaced] = backups;
+  assert.deepEqual(backups.map(entry => entry.row_count), [2, 0]);
+  assert.ok(!backups.some(entry => entry.table_name === backup.table_name));
+  assert.deepEqual(await backupTables(client), backups.map(entry => entry.table_name).sort());
+  
+  // The rollback can itself be rolled back
+  assert.equal(await client.restoreBackup(replaced.table_name, 2), 2);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), ['socks4://198.51.100.5:1080', 'socks5://203.0.113.7:1080']);
+  
+  await assert.rejects(client.restoreBackup('pool_backup_0'), /Unknown backup table: pool_backup_0/);
+});
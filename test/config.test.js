@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const CONFIG_SCRIPT = new URL('../scripts/config.js', import.meta.url).pathname;
+const TEST_CONNECTION_SCRIPT = new URL('../scripts/test-connection.js', import.meta.url).pathname;
+
+/**
+ * Run `config print --json` with the given arguments and environment
+ * The config is loaded at import time, so each case needs its own process
+ */
+function printConfig(args = [], env = {}) {
+  const result = spawnSync(process.execPath, [CONFIG_SCRIPT, 'print', '--json', ...args], {
+    encoding: 'utf-8',
+    env: { PATH: process.env.PATH, SQLITECLOUD_URL: 'file:./pool.db', ...env }
+  });
+  return { status: result.status, ...JSON.parse(result.stdout) };
+}
+
+test('settings accept --flag=value and --flag value', () => {
+  const output = printConfig(['--batch-size', '400', '--log-level=DEBUG']);
+  
+  assert.equal(output.status, 0);
+  assert.deepEqual(output.settings.batchSize, { env: 'BATCH_SIZE', value: 400, source: 'cli' });
+  assert.equal(output.settings.logLevel.value, 'DEBUG');
+});
+
+test('unknown flags and flags without a value are errors', () => {
+  const output = printConfig(['--batch-sise=5', '--log-level']);
+  
+  assert.equal(output.status, 1);
+  assert.deepEqual(output.errors, ['Unknown option --batch-sise', '--log-level needs a value']);
+});
+
+test('an empty value is unset in every layer', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'proxy-config-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const configPath = join(dir, 'config.json');
+  writeFileSync(configPath, JSON.stringify({ batchSize: 250, logLevel: '' }));
+  
+  const output = printConfig([`--config=${configPath}`, '--batch-size='], { BATCH_SIZE: '' });
+  
+  assert.equal(output.status, 0);
+  assert.deepEqual(output.settings.batchSize, { env: 'BATCH_SIZE', value: 250, source: 'file' });
+  assert.equal(output.settings.logLevel.source, 'default');
+});
+
+test('test-connection takes the database URL from the config and validates it', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'proxy-config-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const configPath = join(dir, 'config.json');
+  writeFileSync(configPath, JSON.stringify({ sqliteCloudUrl: `file:${join(dir, 'pool.db')}` }));
+  const run = (args, env = {}) => spawnSync(process.execPath, [TEST_CONNECTION_SCRIPT, ...args], {
+    encoding: 'utf-8',
+    env: { PATH: process.env.PATH, ...env }
+  });
+  
+  const connected = run([`--config=${configPath}`]);
+  assert.equal(connected.status, 0);
+  assert.match(connected.stdout, /Testing local SQLite connection/);
+  
+  const missing = run([]);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /SQLITECLOUD_URL is required/);
+  
+  const invalid = run([`--config=${configPath}`, '--verbose'], { BATCH_SIZE: 'abc' });
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stderr, /Unknown option --verbose/);
+  assert.match(invalid.stderr, /BATCH_SIZE/);
+});
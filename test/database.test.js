@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger } from '../lib/config.js';
+import { DatabaseClient, isTransientError } from '../lib/database.js';
+
+test('only connection and busy-database errors are transient', () => {
+  const withCode = (message, fields) => Object.assign(new Error(message), fields);
+  
+  assert.ok(isTransientError(withCode('Connection error', { errorCode: 'ERR_CONNECTION_ERROR' })));
+  assert.ok(isTransientError(withCode('read ECONNRESET', { code: 'ECONNRESET' })));
+  assert.ok(isTransientError(withCode('database is locked', { code: 'SQLITE_BUSY' })));
+  assert.ok(isTransientError(withCode('Refused', { retryable: true })));
+  
+  assert.ok(!isTransientError(new Error('Expected 12 fields, got 1')));
+  assert.ok(!isTransientError(withCode('no such column: source', { code: 'SQLITE_ERROR' })));
+  assert.ok(!isTransientError(withCode('Connection error', { errorCode: 'ERR_CONNECTION_ERROR', retryable: false })));
+});
+
+test('executeWithRetry retries transient errors and gives up at once on others', async () => {
+  const client = new DatabaseClient('file::memory:', new Logger('ERROR'));
+  let attempts = 0;
+  
+  const result = await client.executeWithRetry(async () => {
+    attempts++;
+    if (attempts < 3) {
+      throw Object.assign(new Error('Connection closed'), { errorCode: 'ERR_CONNECTION_CLOSED' });
+    }
+    return 'done';
+  }, 3, 1);
+  
+  assert.equal(result, 'done');
+  assert.equal(attempts, 3);
+  
+  attempts = 0;
+  await assert.rejects(client.executeWithRetry(async () => {
+    attempts++;
+    throw new Error('Invalid record');
+  }, 3, 1), /Invalid record/);
+  assert.equal(attempts, 1);
+});
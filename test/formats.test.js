@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Logger } from '../lib/config.js';
+import { createFormat, DEFAULT_TEMPLATE, detectFormat, parseTemplate, RECORD_FIELDS } from '../lib/formats.js';
+import { ProxyParser } from '../lib/parser.js';
+import { REJECTION_REASONS } from '../lib/validation.js';
+import { HTTP_PROXY } from './helpers.js';
+
+const logger = new Logger('ERROR');
+
+/**
+ * Write `lines` to a temporary live file, removed when the test ends
+ */
+function liveFile(t, lines) {
+  const dir = mkdtempSync(join(tmpdir(), 'proxy-formats-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  
+  const filePath = join(dir, 'live.txt');
+  writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+}
+
+test('detectFormat picks the format from the first line', () => {
+  const cases = [
+    [HTTP_PROXY, 'pipe'],
+    ['{"proxy":"socks5://203.0.113.7:1080"}', 'ndjson'],
+    ['socks5://203.0.113.7:1080', 'list'],
+    ['proxy,country,city', 'csv'],
+    // A pipe line with commas in org / loc stays pipe
+    ['http://192.0.2.10:8080|http|192.0.2.10|8080|192.0.2.10|US|New York|Example, Inc|New York|America/New_York|40.7,-74.0|', 'pipe'],
+    ['something else entirely', 'pipe']
+  ];
+  
+  for (const [line, expected] of cases) {
+    assert.equal(detectFormat(line), expected, line);
+  }
+});
+
+test('csv header names the fields in any order and ignores unknown columns', () => {
+  const format = createFormat('csv');
+  format.readHeader('Country, proxy ,score,"city"');
+  
+  const data = format.parse('ID,socks5://203.0.113.7:1080,9,"Jakarta, Java"');
+  assert.equal(data.proxy, 'socks5://203.0.113.7:1080');
+  assert.equal(data.country, 'ID');
+  assert.equal(data.city, 'Jakarta, Java');
+  assert.equal(data.score, undefined);
+  // Derived from the proxy URL
+  assert.deepEqual([data.protocol, data.host, data.port, data.ip], ['socks5', '203.0.113.7', '1080', '203.0.113.7']);
+  
+  assert.throws(() => format.parse('ID,socks5://203.0.113.7:1080'), /Expected 4 CSV columns, got 2/);
+  assert.throws(() => createFormat('csv').readHeader('country,city'), /proxy or host column/);
+});
+
+test('csv rows without a proxy column are built from protocol, host and port', () => {
+  const format = createFormat('csv');
+  format.readHeader('protocol,host,port');
+  
+  assert.equal(format.parse('http,192.0.2.10,8080').proxy, 'http://192.0.2.10:8080');
+});
+
+test('a bad first line that looks like csv is rejected instead of aborting the file', async (t) => {
+  const rejected = [];
+  const parser = new ProxyParser(logger, { onReject: rejection => rejected.push(rejection) });
+  const filePath = liveFile(t, ['not, a proxy', HTTP_PROXY]);
+  
+  const records = [];
+  for await (const record of parser.parseStream(filePath)) {
+    records.push(record);
+  }
+  
+  assert.deepEqual(records.map(record => record.proxy), ['http://192.0.2.10:8080']);
+  assert.deepEqual(parser.lastParseStats, { validCount: 1, invalidCount: 1 });
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].lineNumber, 1);
+  assert.equal(rejected[0].line, 'not, a proxy');
+  assert.equal(rejected[0].reason, REJECTION_REASONS.PARSE_ERROR);
+  
+  // parseFile takes the same path
+  assert.deepEqual(new ProxyParser(logger).parseFile(filePath).map(record => record.proxy), ['http://192.0.2.10:8080']);
+});
+
+test('a valid csv header is consumed and the rows follow it', async (t) => {
+  const parser = new ProxyParser(logger);
+  const filePath = liveFile(t, ['proxy,country', 'socks5://203.0.113.7:1080,de', 'bad,row,here']);
+  
+  const records = parser.parseFile(filePath);
+  
+  assert.deepEqual(records.map(record => [record.proxy, record.country]), [['socks5://203.0.113.7:1080', 'DE']]);
+  assert.deepEqual(parser.lastParseStats, { validCount: 1, invalidCount: 1 });
+});
+
+test('parseTemplate follows the placeholder order and separator', () => {
+  assert.deepEqual(parseTemplate(DEFAULT_TEMPLATE).fields, RECORD_FIELDS);
+  
+  const template = parseTemplate('{{ country }};{{proxy}};{{score}};{{city}}');
+  assert.deepEqual(template.fields, ['country', 'proxy', null, 'city']);
+  assert.equal(template.separator, ';');
+  assert.deepEqual(template.ignored, ['score']);
+  assert.deepEqual(template.derived, ['protocol', 'host', 'port', 'ip']);
+  
+  assert.throws(() => parseTemplate('{{country}}|{{city}}'), /missing required field\(s\): \{\{proxy\}\}/);
+  assert.throws(() => parseTemplate('{{proxy}}|{{country}};{{city}}'), /single non-empty separator/);
+  assert.throws(() => parseTemplate('proxy|country'), /no \{\{field\}\} placeholders/);
+});
+
+test('pipe lines are read in template field order', () => {
+  const format = createFormat('pipe', { template: '{{country}};{{proxy}};{{score}};{{city}}' });
+  
+  const data = format.parse('ID;socks5://203.0.113.7:1080;0.9;Jakarta');
+  assert.equal(data.country, 'ID');
+  assert.equal(data.proxy, 'socks5://203.0.113.7:1080');
+  assert.equal(data.city, 'Jakarta');
+  assert.equal(data.score, undefined);
+  assert.deepEqual([data.protocol, data.host, data.port], ['socks5', '203.0.113.7', '1080']);
+  
+  assert.throws(() => format.parse('ID;socks5://203.0.113.7:1080'), /Expected 4 fields, got 2/);
+});
+
+test('the parser applies a custom template to detection and parsing', async (t) => {
+  const template = '{{proxy}};{{country}}';
+  const parser = new ProxyParser(logger, { template });
+  const filePath = liveFile(t, ['socks5://203.0.113.7:1080;id', 'http://192.0.2.10:8080;US']);
+  
+  const records = parser.parseFile(filePath);
+  
+  assert.deepEqual(records.map(record => [record.proxy, record.country]), [
+    ['socks5://203.0.113.7:1080', 'ID'],
+    ['http://192.0.2.10:8080', 'US']
+  ]);
+  assert.equal(detectFormat('socks5://203.0.113.7:1080;id', { template }), 'pipe');
+});
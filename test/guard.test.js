@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findShrinkViolations } from '../lib/database.js';
+import { SYNC_OUTCOMES } from '../lib/sync-engine.js';
+import { createEngine, HTTP_PROXY, readPool, SOCKS_PROXY, SOCKS5_PROXY, workspace } from './helpers.js';
+
+/**
+ * Pool distribution with `total` rows, all of one protocol and country
+ */
+function distribution(total, { protocol = { http: total }, country = { US: total } } = {}) {
+  return { total, protocol, country };
+}
+
+test('the total may shrink by exactly the threshold but not more', () => {
+  const guard = { maxShrinkPercent: 50 };
+  
+  assert.deepEqual(findShrinkViolations(distribution(100), distribution(50), guard), []);
+  
+  const violations = findShrinkViolations(distribution(100), distribution(49), guard);
+  assert.deepEqual(violations.map(violation => violation.group), ['total', 'protocol http', 'country US']);
+  assert.equal(violations[0].before, 100);
+  assert.equal(violations[0].after, 49);
+  assert.equal(violations[0].shrinkPercent, 51);
+  
+  // Growing pools and an empty current pool never violate
+  assert.deepEqual(findShrinkViolations(distribution(10), distribution(20), guard), []);
+  assert.deepEqual(findShrinkViolations(distribution(0), distribution(0), guard), []);
+  assert.deepEqual(findShrinkViolations(distribution(10), distribution(0), { maxShrinkPercent: 100 }), []);
+});
+
+test('a country that vanishes is a violation even when the total holds', () => {
+  const current = distribution(100, { protocol: { http: 100 }, country: { US: 50, ID: 40, '': 10 } });
+  const next = distribution(100, { protocol: { http: 100 }, country: { US: 95, '': 5 } });
+  
+  const violations = findShrinkViolations(current, next, { maxShrinkPercent: 20 });
+  
+  assert.deepEqual(violations.map(({ group, before, after, shrinkPercent }) => ({ group, before, after, shrinkPercent })), [
+    { group: 'country ID', before: 40, after: 0, shrinkPercent: 100 },
+    { group: 'country (none)', before: 10, after: 5, shrinkPercent: 50 }
+  ]);
+});
+
+test('groups smaller than minGroupSize are left out of the per-group check', () => {
+  const current = distribution(100, { protocol: { http: 95, socks5: 5 }, country: { US: 100 } });
+  const next = distribution(95, { protocol: { http: 95 }, country: { US: 95 } });
+  
+  assert.deepEqual(findShrinkViolations(current, next, { maxShrinkPercent: 50, minGroupSize: 10 }), []);
+  assert.deepEqual(
+    findShrinkViolations(current, next, { maxShrinkPercent: 50, minGroupSize: 5 }).map(violation => violation.group),
+    ['protocol socks5']
+  );
+});
+
+for (const syncMode of ['swap', 'incremental']) {
+  test(`a refused ${syncMode} sync leaves the pool untouched`, async (t) => {
+    const space = workspace(t);
+    const full = [HTTP_PROXY, SOCKS_PROXY, SOCKS5_PROXY];
+    
+    await createEngine(space, space.writeLive(full), { syncMode }).sync();
+    const before = await readPool(space);
+    
+    const result = await createEngine(space, space.writeLive([HTTP_PROXY]), { syncMode, maxShrinkPercent: 50 }).sync();
+    
+    assert.equal(result.outcome, SYNC_OUTCOMES.REFUSED);
+    assert.deepEqual(await readPool(space), before);
+    
+    // --force replaces it anyway
+    const forced = await createEngine(space, space.writeLive([HTTP_PROXY]), { syncMode, maxShrinkPercent: 50, force: true }).sync();
+    assert.equal(forced.outcome, SYNC_OUTCOMES.SUCCESS);
+    assert.deepEqual((await readPool(space)).map(row => row.proxy), ['http://192.0.2.10:8080']);
+  });
+}
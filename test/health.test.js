@@ -0,0 +1,238 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { createDatabaseClient } from '../lib/database.js';
+import { MigrationRunner } from '../lib/migrations.js';
+import { findSchemaDrift, getExpectedPoolSchema } from '../lib/schema.js';
+import { createEngine, HTTP_PROXY, logger, SOCKS_PROXY, workspace } from './helpers.js';
+
+const HEALTH_SCRIPT = new URL('../scripts/health-check.js', import.meta.url).pathname;
+
+/**
+ * Run the health check script with --json against a workspace; returns the
+ * exit code and the parsed report
+ */
+function runHealth(space, liveFilePath, args = [], env = {}) {
+  const result = spawnSync(process.execPath, [HEALTH_SCRIPT, '--json', ...args], {
+    encoding: 'utf-8',
+    env: {
+      PATH: process.env.PATH,
+      SQLITECLOUD_URL: space.databaseUrl,
+      LIVE_FILE_PATH: liveFilePath,
+      LOG_LEVEL: 'ERROR',
+      ...env
+    }
+  });
+  
+  return { status: result.status, report: JSON.parse(result.stdout), stderr: result.stderr };
+}
+
+/**
+ * Workspace whose pool was just synced from two proxies
+ */
+async function syncedWorkspace(t) {
+  const space = workspace(t);
+  const livePath = space.writeLive([HTTP_PROXY, SOCKS_PROXY]);
+  await createEngine(space, livePath).sync();
+  return { space, livePath };
+}
+
+/**
+ * Run SQL statements against a workspace database
+ */
+async function alter(space, ...statements) {
+  const client = createDatabaseClient(space.databaseUrl, logger);
+  assert.ok(await client.connect());
+  
+  try {
+    for (const statement of statements) {
+      await client.db.sql(statement);
+    }
+  } finally {
+    await client.disconnect();
+  }
+}
+
+test('the expected pool schema is the one the migrations create', async (t) => {
+  const { space } = await syncedWorkspace(t);
+  const expected = await getExpectedPoolSchema(logger);
+  
+  assert.deepEqual(expected.columns.find(column => column.name === 'proxy'), { name: 'proxy', type: 'TEXT', notNull: false, primaryKey: true });
+  assert.ok(expected.columns.some(column => column.name === 'source'));
+  assert.ok(expected.indexes.some(index => index.name === 'idx_pool_country'));
+  assert.deepEqual(expected.triggers, ['update_pool_timestamp']);
+  assert.equal(await getExpectedPoolSchema(logger), expected);
+  
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  assert.ok(await client.connect());
+  t.after(() => client.disconnect());
+  
+  assert.deepEqual(findSchemaDrift(await client.describeTable('pool'), expected), []);
+});
+
+test('findSchemaDrift lists every column, index and trigger difference', () => {
+  const expected = {
+    columns: [
+      { name: 'proxy', type: 'TEXT', notNull: false, primaryKey: true },
+      { name: 'port', type: 'INTEGER', notNull: true, primaryKey: false },
+      { name: 'country', type: 'TEXT', notNull: false, primaryKey: false },
+      { name: 'city', type: 'TEXT', notNull: false, primaryKey: false }
+    ],
+    indexes: [
+      { name: 'idx_pool_country', columns: ['country'] },
+      { name: 'idx_pool_city', columns: ['city'] }
+    ],
+    triggers: ['update_pool_timestamp']
+  };
+  
+  // Same schema, other column order and type case
+  assert.deepEqual(findSchemaDrift({
+    columns: [expected.columns[2], { ...expected.columns[1], type: 'integer' }, expected.columns[0], expected.columns[3]],
+    indexes: expected.indexes,
+    triggers: expected.triggers
+  }, expected), []);
+  
+  const drift = findSchemaDrift({
+    columns: [
+      { name: 'proxy', type: 'TEXT', notNull: true, primaryKey: false },
+      { name: 'port', type: 'TEXT', notNull: true, primaryKey: false },
+      { name: 'city', type: 'TEXT', notNull: false, primaryKey: false },
+      { name: 'asn', type: 'TEXT', notNull: false, primaryKey: false }
+    ],
+    indexes: [
+      { name: 'idx_pool_city', columns: ['city', 'port'] },
+      { name: 'idx_pool_asn', columns: ['asn'] }
+    ],
+    triggers: ['pool_audit']
+  }, expected);
+  
+  assert.deepEqual(drift, [
+    'column proxy is NOT NULL, expected nullable',
+    'column proxy is not part of the primary key',
+    'column port is TEXT, expected INTEGER',
+    'missing column country',
+    'unexpected column asn',
+    'missing index idx_pool_country',
+    'index idx_pool_city covers (city, port), expected (city)',
+    'unexpected index idx_pool_asn',
+    'missing trigger update_pool_timestamp',
+    'unexpected trigger pool_audit'
+  ]);
+});
+
+test('a freshly synced pool passes every check', async (t) => {
+  const { space, livePath } = await syncedWorkspace(t);
+  const { status, report } = runHealth(space, livePath);
+  
+  assert.equal(status, 0);
+  assert.equal(report.overallStatus, 'healthy');
+  for (const check of ['database', 'liveFile', 'poolSize', 'poolFreshness', 'schema', 'configuration']) {
+    assert.equal(report[check].status, 'healthy', `${check}: ${report[check].message}`);
+  }
+  assert.equal(report.poolSize.proxyCount, 2);
+  assert.deepEqual(report.schema.drift, []);
+});
+
+test('an unreachable database skips the pool checks and is never created', (t) => {
+  const space = workspace(t);
+  const livePath = space.writeLive([HTTP_PROXY]);
+  const { status, report } = runHealth(space, livePath);
+  
+  assert.equal(status, 2);
+  assert.equal(report.database.status, 'unhealthy');
+  for (const check of ['poolSize', 'poolFreshness', 'schema']) {
+    assert.equal(report[check].status, 'skipped');
+  }
+  assert.ok(!existsSync(join(space.dir, 'pool.db')));
+});
+
+test('a missing or stale live file fails the live file check', async (t) => {
+  const { space, livePath } = await syncedWorkspace(t);
+  
+  const missing = runHealth(space, join(space.dir, 'missing.txt'));
+  assert.equal(missing.status, 3);
+  assert.equal(missing.report.liveFile.status, 'error');
+  
+  const hourAgo = new Date(Date.now() - 60 * 60000);
+  utimesSync(livePath, hourAgo, hourAgo);
+  
+  const stale = runHealth(space, livePath, [], { LIVE_FILE_MAX_AGE_MINUTES: '30' });
+  assert.equal(stale.status, 1);
+  assert.equal(stale.report.liveFile.status, 'warning');
+  assert.equal(stale.report.liveFile.ageMinutes, 60);
+  
+  const off = runHealth(space, livePath, [], { LIVE_FILE_MAX_AGE_MINUTES: '0' });
+  assert.equal(off.report.liveFile.status, 'healthy');
+});
+
+test('an empty, never synced pool is unhealthy but only warns before a sync', async (t) => {
+  const space = workspace(t);
+  const livePath = space.writeLive([HTTP_PROXY]);
+  
+  const client = createDatabaseClient(space.databaseUrl, logger);
+  assert.ok(await client.connect());
+  await new MigrationRunner(client, logger).up();
+  await client.disconnect();
+  
+  const { status, report } = runHealth(space, livePath);
+  assert.equal(status, 2);
+  assert.equal(report.poolSize.status, 'unhealthy');
+  assert.equal(report.poolFreshness.status, 'unhealthy');
+  assert.equal(report.poolFreshness.message, 'Pool was never synced');
+  
+  const preSync = runHealth(space, livePath, ['--pre-sync']);
+  assert.equal(preSync.status, 1);
+  assert.equal(preSync.report.poolSize.status, 'warning');
+  assert.equal(preSync.report.poolFreshness.status, 'warning');
+  assert.equal(preSync.report.configuration.status, 'healthy');
+  
+  const relaxed = runHealth(space, livePath, [], { POOL_MIN_SIZE: '0', POOL_MAX_AGE_MINUTES: '0' });
+  assert.equal(relaxed.status, 0);
+});
+
+test('a stale pool reports its age with the configured severity', async (t) => {
+  const { space, livePath } = await syncedWorkspace(t);
+  await alter(space,
+    'DROP TRIGGER update_pool_timestamp',
+    "UPDATE pool SET updated_at = datetime('now', '-3 hours')",
+    "UPDATE sync_runs SET started_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-3 hours'), finished_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-3 hours')"
+  );
+  
+  const { status, report } = runHealth(space, livePath, [], { POOL_MAX_AGE_MINUTES: '60' });
+  assert.equal(status, 2);
+  assert.equal(report.poolFreshness.status, 'unhealthy');
+  assert.equal(report.poolFreshness.ageMinutes, 180);
+  
+  const warned = runHealth(space, livePath, [], { POOL_MAX_AGE_MINUTES: '60', HEALTH_SEVERITIES: 'pool_freshness=warning' });
+  assert.equal(warned.report.poolFreshness.status, 'warning');
+  
+  // The dropped trigger is schema drift, which warns by default
+  assert.deepEqual(report.schema.drift, ['missing trigger update_pool_timestamp']);
+  assert.equal(report.schema.status, 'warning');
+});
+
+test('schema drift is listed and reported with the configured severity', async (t) => {
+  const { space, livePath } = await syncedWorkspace(t);
+  await alter(space, 'DROP INDEX idx_pool_city', 'ALTER TABLE pool ADD COLUMN asn TEXT');
+  
+  const { status, report } = runHealth(space, livePath);
+  assert.equal(status, 1);
+  assert.equal(report.schema.status, 'warning');
+  assert.deepEqual(report.schema.drift, ['unexpected column asn', 'missing index idx_pool_city']);
+  
+  const paged = runHealth(space, livePath, [], { HEALTH_SEVERITIES: 'schema_drift=error' });
+  assert.equal(paged.status, 3);
+  assert.equal(paged.report.schema.status, 'error');
+});
+
+test('unknown flags and invalid settings are configuration warnings', async (t) => {
+  const { space, livePath } = await syncedWorkspace(t);
+  const { status, report } = runHealth(space, livePath, ['--verbose'], { POOL_MIN_SIZE: '-1' });
+  
+  assert.equal(status, 1);
+  assert.equal(report.configuration.status, 'warning');
+  assert.ok(report.configuration.issues.includes('Unknown option --verbose'));
+  assert.ok(report.configuration.issues.some(issue => issue.includes('POOL_MIN_SIZE')));
+});
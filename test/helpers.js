@@ -0,0 +1,89 @@
+// Fixtures shared by the test files
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { connect } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config, Logger } from '../lib/config.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { ProxySyncEngine } from '../lib/sync-engine.js';
+
+export const HTTP_PROXY = 'http://192.0.2.10:8080|http|192.0.2.10|8080|192.0.2.10|US|New York|AS12345 Example ISP Inc|New York|America/New_York|40.7128,-74.0060|';
+export const SOCKS_PROXY = 'socks4://198.51.100.5:1080|socks4|198.51.100.5|1080|198.51.100.5|GB|London|AS67890 Demo Provider Ltd|England|Europe/London|51.5074,-0.1278|proxy.example.com';
+export const SOCKS5_PROXY = 'socks5://203.0.113.7:1080|socks5|203.0.113.7|1080|203.0.113.7|DE|Berlin|AS11111 Sample GmbH|Berlin|Europe/Berlin|52.5200,13.4050|';
+
+export const logger = new Logger('ERROR');
+
+/**
+ * Temporary directory with a file: database URL and a live file writer,
+ * removed when the test ends
+ */
+export function workspace(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'proxy-sync-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  
+  return {
+    dir,
+    databaseUrl: `file:${join(dir, 'pool.db')}`,
+    writeLive(lines, name = 'live.txt') {
+      const filePath = join(dir, name);
+      writeFileSync(filePath, `${lines.join('\n')}\n`);
+      return filePath;
+    }
+  };
+}
+
+/**
+ * Sync engine for a workspace, on the default config plus `overrides`
+ */
+export function createEngine(space, liveFilePath, overrides = {}) {
+  return new ProxySyncEngine({
+    ...config,
+    sqliteCloudUrl: space.databaseUrl,
+    liveFilePath,
+    syncMode: 'swap',
+    maxShrinkPercent: 100,
+    quarantineFile: '',
+    maxInvalidCount: null,
+    maxInvalidPercent: null,
+    metricsTextfile: '',
+    webhookUrls: [],
+    ...overrides
+  }, logger);
+}
+
+/**
+ * Read the pool, ordered by proxy, over a separate read-only connection
+ */
+export async function readPool(space) {
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  assert.ok(await client.connect());
+  
+  try {
+    return await client.db.sql('SELECT proxy, protocol, country, source FROM pool ORDER BY proxy');
+  } finally {
+    await client.disconnect();
+  }
+}
+
+/**
+ * Send a raw HTTP/1.1 request and resolve with the status line; rejects
+ * when the server does not answer within 5s
+ */
+export function rawRequest(port, requestLine) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(port, '127.0.0.1', () => {
+      socket.write(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let response = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+    socket.setTimeout(5000, () => {
+      socket.destroy();
+      reject(new Error(`No response to ${requestLine}`));
+    });
+  });
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabaseClient } from '../lib/database.js';
+import { formatProxies } from '../lib/export.js';
+import { createEngine, HTTP_PROXY, logger, SOCKS_PROXY, SOCKS5_PROXY, workspace } from './helpers.js';
+
+test('proxy history counts seen and missed syncs and derives the uptime ratio', async (t) => {
+  const space = workspace(t);
+  
+  for (const lines of [[HTTP_PROXY, SOCKS_PROXY], [HTTP_PROXY, SOCKS5_PROXY], [SOCKS_PROXY, HTTP_PROXY]]) {
+    await createEngine(space, space.writeLive(lines)).sync();
+  }
+  
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  await client.connect();
+  t.after(() => client.disconnect());
+  
+  const rows = await client.queryProxies({ history: true });
+  assert.deepEqual(rows.map(({ proxy, seen_count, missed_count, uptime_ratio }) => ({ proxy, seen_count, missed_count, uptime_ratio })), [
+    { proxy: 'http://192.0.2.10:8080', seen_count: 3, missed_count: 0, uptime_ratio: 1 },
+    { proxy: 'socks4://198.51.100.5:1080', seen_count: 2, missed_count: 1, uptime_ratio: 2 / 3 }
+  ]);
+  
+  const stable = await client.queryProxies({ minUptime: 0.9 });
+  assert.deepEqual(stable.map(row => row.proxy), ['http://192.0.2.10:8080']);
+  assert.equal(await client.countProxies({ minUptime: 0.5 }), 2);
+  
+  const byUptime = await client.queryProxies({ sort: 'uptime', limit: 1 });
+  assert.equal(byUptime[0].proxy, 'http://192.0.2.10:8080');
+  
+  // The history columns only appear in the export when asked for
+  const [plain] = JSON.parse(formatProxies(rows, 'json'));
+  const [withHistory] = JSON.parse(formatProxies(rows, 'json', { history: true }));
+  assert.equal(plain.uptime_ratio, undefined);
+  assert.equal(withHistory.uptime_ratio, 1);
+  assert.equal(withHistory.seen_count, 3);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { createDatabaseClient } from '../lib/database.js';
+import { TableJanitor } from '../lib/janitor.js';
+import { createEngine, HTTP_PROXY, logger, workspace } from './helpers.js';
+
+const JANITOR_SCRIPT = new URL('../scripts/janitor.js', import.meta.url).pathname;
+
+const MINUTE = 60000;
+
+/**
+ * Migrated database with a registered backup and leftover swap tables
+ * created `ageMinutes` ago; returns a connected client and the table names
+ */
+async function databaseWithLeftovers(t, space, ageMinutes) {
+  await createEngine(space, space.writeLive([HTTP_PROXY]), { backupRetention: 1 }).sync();
+  
+  const client = createDatabaseClient(space.databaseUrl, logger);
+  await client.connect();
+  t.after(() => client.disconnect());
+  
+  const createdAt = Date.now() - ageMinutes * MINUTE;
+  const leftovers = [`pool_backup_${createdAt}`, `pool_temp_${createdAt}`];
+  for (const name of leftovers) {
+    await client.db.sql(`CREATE TABLE ${name} (proxy TEXT)`);
+  }
+  
+  const [registered] = await client.listBackups();
+  return { client, leftovers, registered: registered.table_name };
+}
+
+/**
+ * Names of the pool_temp_* / pool_backup_* tables
+ */
+async function swapTables(client) {
+  const rows = await client.db.sql("SELECT name FROM sqlite_master WHERE type = 'table' AND name GLOB 'pool_[bt]*_[0-9]*' ORDER BY name");
+  return rows.map(row => row.name);
+}
+
+/**
+ * Run the janitor script against a workspace database
+ */
+function runJanitor(space, args) {
+  return spawnSync(process.execPath, [JANITOR_SCRIPT, ...args], {
+    encoding: 'utf-8',
+    env: { PATH: process.env.PATH, SQLITECLOUD_URL: space.databaseUrl, LOG_LEVEL: 'INFO' }
+  });
+}
+
+test('only unregistered swap tables older than the max age are orphans', async (t) => {
+  const space = workspace(t);
+  const { client, leftovers, registered } = await databaseWithLeftovers(t, space, 90);
+  const janitor = new TableJanitor(client, logger);
+  
+  const orphans = await janitor.findOrphans(60);
+  assert.deepEqual(orphans.map(orphan => [orphan.name, orphan.kind]), [[leftovers[0], 'backup'], [leftovers[1], 'staging']]);
+  assert.equal(orphans[0].ageMinutes, 90);
+  assert.deepEqual(await janitor.findOrphans(120), []);
+  
+  // A dry run only lists them
+  assert.equal((await janitor.sweep(60, { dryRun: true })).length, 2);
+  assert.deepEqual(await swapTables(client), [...leftovers, registered].sort());
+  
+  await janitor.sweep(60);
+  assert.deepEqual(await swapTables(client), [registered]);
+});
+
+test('janitor accepts --max-age=N and --max-age N', async (t) => {
+  const space = workspace(t);
+  const { client, leftovers, registered } = await databaseWithLeftovers(t, space, 30);
+  
+  const kept = runJanitor(space, ['--max-age', '45']);
+  assert.equal(kept.status, 0, kept.stderr);
+  assert.deepEqual(await swapTables(client), [...leftovers, registered].sort());
+  
+  const swept = runJanitor(space, ['--max-age=15']);
+  assert.equal(swept.status, 0, swept.stderr);
+  assert.deepEqual(await swapTables(client), [registered]);
+});
+
+test('janitor rejects a --max-age that is not a whole number of minutes', (t) => {
+  const space = workspace(t);
+  
+  for (const args of [['--max-age=5x'], ['--max-age', '-1'], ['--max-age', '1.5'], ['--max-age'], ['--max-age', '--dry-run']]) {
+    const result = runJanitor(space, args);
+    assert.equal(result.status, 1, args.join(' '));
+    assert.match(`${result.stdout}${result.stderr}`, /--max-age (must be a whole number of minutes|needs a value)/, args.join(' '));
+  }
+});
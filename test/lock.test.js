@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { createDatabaseClient } from '../lib/database.js';
+import { SyncLock } from '../lib/lock.js';
+import { createEngine, HTTP_PROXY, logger, SOCKS_PROXY, workspace } from './helpers.js';
+
+/**
+ * Run a script from scripts/ against a workspace database
+ */
+function runScript(space, script, args = []) {
+  return spawnSync(process.execPath, [new URL(`../scripts/${script}`, import.meta.url).pathname, ...args], {
+    encoding: 'utf-8',
+    env: { PATH: process.env.PATH, SQLITECLOUD_URL: space.databaseUrl, SYNC_LOCK_WAIT: '0' }
+  });
+}
+
+test('a second lock holder is refused until the first releases', async (t) => {
+  const space = workspace(t);
+  const client = createDatabaseClient(space.databaseUrl, logger);
+  await client.connect();
+  t.after(() => client.disconnect());
+  
+  const first = new SyncLock(client, logger);
+  const second = new SyncLock(client, logger);
+  
+  await first.acquire();
+  await assert.rejects(second.acquire(), { name: 'SyncLockedError' });
+  
+  await first.release();
+  await second.acquire();
+  await second.release();
+});
+
+test('janitor, migrate up and rollback wait for the sync lock; rollback --list does not', async (t) => {
+  const space = workspace(t);
+  await createEngine(space, space.writeLive([HTTP_PROXY]), { backupRetention: 2 }).sync();
+  await createEngine(space, space.writeLive([HTTP_PROXY, SOCKS_PROXY]), { backupRetention: 2 }).sync();
+  
+  const holder = createDatabaseClient(space.databaseUrl, logger);
+  await holder.connect();
+  const lock = new SyncLock(holder, logger);
+  await lock.acquire();
+  
+  try {
+    for (const [script, args] of [['janitor.js', []], ['migrate.js', ['up']], ['rollback.js', []]]) {
+      const result = runScript(space, script, args);
+      assert.equal(result.status, 3, `${script}: ${result.stdout}${result.stderr}`);
+    }
+    
+    const listed = runScript(space, 'rollback.js', ['--list']);
+    assert.equal(listed.status, 0, listed.stderr);
+    assert.match(listed.stdout, /pool_backup_\d+ {2}\S+ {2}1 rows/);
+    assert.match(`${listed.stdout}${listed.stderr}`, /read-only/);
+    
+    // The pool was not rolled back
+    const [{ count }] = await holder.db.sql('SELECT COUNT(*) AS count FROM pool');
+    assert.equal(count, 2);
+  } finally {
+    await lock.release();
+    await holder.disconnect();
+  }
+  
+  const rolledBack = runScript(space, 'rollback.js');
+  assert.equal(rolledBack.status, 0, rolledBack.stderr);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry, serveMetrics } from '../lib/metrics.js';
+import { logger, rawRequest } from './helpers.js';
+
+test('serveMetrics answers /metrics, 404 elsewhere and 400 for malformed URLs', async (t) => {
+  const registry = new MetricsRegistry();
+  let refreshes = 0;
+  const server = await serveMetrics(registry, { port: 0, host: '127.0.0.1', refresh: () => { refreshes++; }, logger });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const { port } = server.address();
+  
+  registry.set('proxy_pool_records', 3);
+  const response = await fetch(`http://127.0.0.1:${port}/metrics?x=1`);
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /^proxy_pool_records 3$/m);
+  assert.equal(refreshes, 1);
+  
+  assert.equal((await fetch(`http://127.0.0.1:${port}/other`)).status, 404);
+  assert.equal(await rawRequest(port, 'GET //[ HTTP/1.1'), 'HTTP/1.1 400 Bad Request');
+  assert.equal(refreshes, 1);
+});
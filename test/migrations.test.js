@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Logger } from '../lib/config.js';
+import { createDatabaseClient } from '../lib/database.js';
+import { MigrationRunner } from '../lib/migrations.js';
+import { SYNC_OUTCOMES } from '../lib/sync-engine.js';
+import { createEngine, HTTP_PROXY, readPool, SOCKS_PROXY, workspace } from './helpers.js';
+
+const logger = new Logger('ERROR');
+
+/**
+ * Connected client on a new database file, disconnected and removed when the
+ * test ends
+ */
+async function openDatabase(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'proxy-migrations-test-'));
+  const client = createDatabaseClient(`file:${join(dir, 'pool.db')}`, logger);
+  assert.ok(await client.connect());
+  
+  t.after(async () => {
+    await client.disconnect();
+    rmSync(dir, { recursive: true, force: true });
+  });
+  
+  return client;
+}
+
+test('connecting to a new file leaves every migration pending', async (t) => {
+  const client = await openDatabase(t);
+  const runner = new MigrationRunner(client, logger);
+  
+  const status = await runner.status();
+  assert.ok(status.length > 0);
+  assert.ok(status.every(migration => migration.appliedAt === null));
+  
+  const applied = await runner.up();
+  assert.equal(applied.length, status.length);
+  
+  const columns = await client.db.sql`PRAGMA table_info(pool)`;
+  assert.ok(columns.some(column => column.name === 'source'));
+  assert.deepEqual(await runner.up(), []);
+});
+
+test('a baseline-schema database with rows is migrated in place', async (t) => {
+  const client = await openDatabase(t);
+  const runner = new MigrationRunner(client, logger);
+  const migrations = runner.loadMigrations();
+  
+  // The schema before versioned migrations: the pool table alone, as
+  // created by migration 001 (formerly create_pool_table.sql)
+  await client.execScript(migrations[0].sql);
+  await client.db.sql(`
+    INSERT INTO pool (proxy, protocol, host, port, ip, country, city, org, region, timezone, loc, hostname)
+    VALUES ('http://192.0.2.10:8080', 'http', '192.0.2.10', 8080, '192.0.2.10', 'US', 'New York', 'AS12345', 'New York', 'America/New_York', '40.7128,-74.0060', '')
+  `);
+  
+  const applied = await runner.up();
+  assert.deepEqual(applied.map(migration => migration.version), migrations.map(migration => migration.version));
+  
+  const rows = await client.db.sql`SELECT proxy, country, source FROM pool`;
+  assert.deepEqual(rows.map(row => ({ ...row })), [{ proxy: 'http://192.0.2.10:8080', country: 'US', source: null }]);
+  
+  const tables = await client.db.sql("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+  for (const table of ['pool', 'pool_backups', 'proxy_history', 'schema_migrations', 'sync_lock', 'sync_runs']) {
+    assert.ok(tables.some(row => row.name === table), table);
+  }
+  assert.ok((await runner.status()).every(migration => migration.appliedAt !== null));
+});
+
+test('a baseline-schema database accepts a sync after migrating', async (t) => {
+  const space = workspace(t);
+  const client = createDatabaseClient(space.databaseUrl, logger);
+  assert.ok(await client.connect());
+  await client.execScript(new MigrationRunner(client, logger).loadMigrations()[0].sql);
+  await client.disconnect();
+  
+  const livePath = space.writeLive([HTTP_PROXY, SOCKS_PROXY]);
+  const result = await createEngine(space, livePath).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+  assert.deepEqual((await readPool(space)).map(row => row.source), [livePath, livePath]);
+});
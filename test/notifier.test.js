@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { NOTIFY_EVENTS, WebhookNotifier, webhookFormat } from '../lib/notifier.js';
+import { logger } from './helpers.js';
+
+/**
+ * Local webhook stand-in answering with `statuses` in turn (the last one
+ * repeats; null never answers); closed when the test ends
+ */
+async function webhookServer(t, statuses = [200]) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      if (status !== null) {
+        res.writeHead(status);
+        res.end();
+      }
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+/**
+ * Notifier for one webhook URL with quick defaults
+ */
+function notifier(url, overrides = {}) {
+  return new WebhookNotifier({
+    webhookUrls: [url],
+    webhookEvents: [],
+    webhookFormat: 'auto',
+    webhookTimeoutMs: 2000,
+    webhookRetries: 0,
+    webhookBudgetMs: 10000,
+    ...overrides
+  }, logger);
+}
+
+test('generic webhooks receive the notification as JSON', async (t) => {
+  const hook = await webhookServer(t);
+  
+  const results = await notifier(hook.url).notify(NOTIFY_EVENTS.SYNC_FAILED, 'Database unreachable', { runId: 'r1' });
+  
+  assert.deepEqual(results, [{ webhook: new URL(hook.url).host, ok: true, status: 200 }]);
+  const [request] = hook.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.body.event, 'sync_failed');
+  assert.equal(request.body.title, 'Proxy sync failed');
+  assert.equal(request.body.message, 'Database unreachable');
+  assert.deepEqual(request.body.details, { runId: 'r1' });
+  assert.ok(request.body.host);
+  assert.ok(!Number.isNaN(Date.parse(request.body.timestamp)));
+});
+
+test('slack and discord webhooks receive their payload shapes', async (t) => {
+  const hook = await webhookServer(t);
+  const details = { poolCount: 5000 };
+  
+  await notifier(hook.url, { webhookFormat: 'slack' }).notify(NOTIFY_EVENTS.SWAP_REFUSED, 'Shrink too large', details);
+  await notifier(hook.url, { webhookFormat: 'discord' }).notify(NOTIFY_EVENTS.SWAP_REFUSED, 'Shrink too large', details);
+  
+  const [slack, discord] = hook.requests.map(request => request.body);
+  assert.match(slack.text, /^\*Proxy pool swap refused\* \(.+\)\nShrink too large$/);
+  assert.deepEqual(slack.blocks[0], { type: 'section', text: { type: 'mrkdwn', text: '*Proxy pool swap refused*\nShrink too large' } });
+  assert.deepEqual(slack.blocks[1].fields, [{ type: 'mrkdwn', text: '*poolCount*\n5000' }]);
+  assert.equal(slack.blocks[2].type, 'context');
+  
+  assert.equal(discord.content, '**Proxy pool swap refused**');
+  assert.equal(discord.embeds[0].title, 'Proxy pool swap refused');
+  assert.equal(discord.embeds[0].description, 'Shrink too large');
+  assert.equal(discord.embeds[0].color, 0xf29900);
+  assert.deepEqual(discord.embeds[0].fields, [{ name: 'poolCount', value: '5000', inline: true }]);
+});
+
+test('auto format follows the webhook host', () => {
+  assert.equal(webhookFormat('https://hooks.slack.com/services/T0/B0/secret'), 'slack');
+  assert.equal(webhookFormat('https://discord.com/api/webhooks/1/secret'), 'discord');
+  assert.equal(webhookFormat('https://ptb.discordapp.com/api/webhooks/1/secret'), 'discord');
+  assert.equal(webhookFormat('https://example.com/hook'), 'json');
+  assert.equal(webhookFormat('https://hooks.slack.com/services/T0/B0/secret', 'json'), 'json');
+});
+
+test('5xx and 429 responses are retried, other 4xx are not', async (t) => {
+  const flaky = await webhookServer(t, [503, 429, 204]);
+  const result = await notifier(flaky.url, { webhookRetries: 2 }).notify(NOTIFY_EVENTS.TEST, 'hello');
+  assert.deepEqual(result.map(entry => [entry.ok, entry.status]), [[true, 204]]);
+  assert.equal(flaky.requests.length, 3);
+  
+  const rejecting = await webhookServer(t, [404]);
+  const [rejected] = await notifier(rejecting.url, { webhookRetries: 2 }).notify(NOTIFY_EVENTS.TEST, 'hello');
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.error, 'HTTP 404');
+  assert.equal(rejecting.requests.length, 1);
+});
+
+test('a webhook that does not answer times out', async (t) => {
+  const silent = await webhookServer(t, [null]);
+  
+  const [result] = await notifier(silent.url, { webhookTimeoutMs: 100 }).notify(NOTIFY_EVENTS.TEST, 'hello');
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'timed out after 100ms');
+});
+
+test('retries stop at the total budget', async (t) => {
+  const failing = await webhookServer(t, [500]);
+  const startTime = Date.now();
+  
+  const [result] = await notifier(failing.url, { webhookRetries: 5, webhookBudgetMs: 500 }).notify(NOTIFY_EVENTS.TEST, 'hello');
+  
+  assert.ok(Date.now() - startTime < 1000);
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'HTTP 500 (no retry within the 500ms budget)');
+  assert.equal(failing.requests.length, 1);
+});
+
+test('only subscribed events are sent', async (t) => {
+  const hook = await webhookServer(t);
+  const subscribed = notifier(hook.url, { webhookEvents: [NOTIFY_EVENTS.SYNC_FAILED] });
+  
+  assert.deepEqual(await subscribed.notify(NOTIFY_EVENTS.POOL_CHANGED, 'ignored'), []);
+  assert.equal((await subscribed.notify(NOTIFY_EVENTS.TEST, 'always sent')).length, 1);
+  assert.equal(hook.requests.length, 1);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextCronTime, parseCron } from '../lib/schedule.js';
+
+const sorted = values => [...values].sort((a, b) => a - b);
+
+/**
+ * Local time, month counted from 1
+ */
+function at(year, month, day, hour = 0, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+test('parseCron expands lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 1-3 1-5');
+  
+  assert.deepEqual(sorted(cron.minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hour), [9, 13, 17]);
+  assert.deepEqual(sorted(cron.dayOfMonth), [1, 15]);
+  assert.deepEqual(sorted(cron.month), [1, 2, 3]);
+  assert.deepEqual(sorted(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDayOfMonth, false);
+  assert.equal(cron.anyDayOfWeek, false);
+  
+  // n/step runs from n to the end of the range
+  assert.deepEqual(sorted(parseCron('50/5 * * * *').minute), [50, 55]);
+  assert.equal(parseCron('* * * * *').minute.size, 60);
+});
+
+test('day of week 7 is Sunday like 0', () => {
+  assert.deepEqual(sorted(parseCron('0 0 * * 7').dayOfWeek), [0, 7]);
+  assert.deepEqual(sorted(parseCron('0 0 * * 5-7').dayOfWeek), [0, 5, 6, 7]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  const cases = [
+    ['* * * *', /must have 5 fields, got 4/],
+    ['', /must have 5 fields, got 0/],
+    ['60 * * * *', /minute field: '60' \(allowed 0-59\)/],
+    ['* 24 * * *', /hour field/],
+    ['* * 0 * *', /day of month field/],
+    ['* * * 13 *', /month field/],
+    ['* * * * 8', /day of week field/],
+    ['5-1 * * * *', /minute field: '5-1'/],
+    ['*/0 * * * *', /minute field: '\*\/0'/],
+    ['a * * * *', /Invalid cron minute field: 'a'/],
+    ['1,,2 * * * *', /minute field/]
+  ];
+  
+  for (const [expression, message] of cases) {
+    assert.throws(() => parseCron(expression), message, expression);
+  }
+});
+
+test('nextCronTime finds the next matching minute strictly after from', () => {
+  const everyQuarter = parseCron('*/15 * * * *');
+  assert.deepEqual(nextCronTime(everyQuarter, at(2026, 3, 10, 10, 0)), at(2026, 3, 10, 10, 15));
+  assert.deepEqual(nextCronTime(everyQuarter, new Date(at(2026, 3, 10, 10, 14).getTime() + 59000)), at(2026, 3, 10, 10, 15));
+  
+  // Rolls over the hour, the day and the year
+  assert.deepEqual(nextCronTime(parseCron('30 2 * * *'), at(2026, 3, 10, 2, 30)), at(2026, 3, 11, 2, 30));
+  assert.deepEqual(nextCronTime(parseCron('0 0 1 1 *'), at(2026, 3, 10)), at(2027, 1, 1));
+  
+  // 29 February only in leap years
+  assert.deepEqual(nextCronTime(parseCron('0 12 29 2 *'), at(2026, 3, 10)), at(2028, 2, 29, 12, 0));
+});
+
+test('a restricted day of month or day of week matches either, as in cron', () => {
+  // 2026-03-10 is a Tuesday
+  const weekdaysOnly = parseCron('0 9 * * 1-5');
+  assert.deepEqual(nextCronTime(weekdaysOnly, at(2026, 3, 13, 9, 0)), at(2026, 3, 16, 9, 0));
+  
+  const firstOfMonth = parseCron('0 9 1 * *');
+  assert.deepEqual(nextCronTime(firstOfMonth, at(2026, 3, 10)), at(2026, 4, 1, 9, 0));
+  
+  // The 15th or any Sunday, whichever comes first
+  const fifteenthOrSunday = parseCron('0 9 15 * 0');
+  assert.deepEqual(nextCronTime(fifteenthOrSunday, at(2026, 3, 10)), at(2026, 3, 15, 9, 0));
+  assert.deepEqual(nextCronTime(fifteenthOrSunday, at(2026, 3, 15, 9, 0)), at(2026, 3, 22, 9, 0));
+  assert.deepEqual(nextCronTime(parseCron('0 9 16 * 7'), at(2026, 3, 10)), at(2026, 3, 15, 9, 0));
+});
+
+test('nextCronTime gives up on expressions that never match', () => {
+  assert.throws(() => nextCronTime(parseCron('0 0 31 2 *'), at(2026, 1, 1)), /never matches/);
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvLine, csvValue, ndjsonLine } from '../lib/serializers.js';
+
+test('csv values are quoted only when they need it', () => {
+  assert.equal(csvValue('plain'), 'plain');
+  assert.equal(csvValue(null), '');
+  assert.equal(csvValue('a,b'), '"a,b"');
+  assert.equal(csvValue('say "hi"'), '"say ""hi"""');
+  assert.equal(csvLine([1, 'x\ny', undefined]), '1,"x\ny",\n');
+});
+
+test('ndjson lines hold one value each', () => {
+  assert.equal(ndjsonLine({ line: 3, raw: 'a\nb' }), '{"line":3,"raw":"a\\nb"}\n');
+});
@@ -0,0 +1,258 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { createDatabaseClient } from '../lib/database.js';
+import { SyncLock } from '../lib/lock.js';
+import { ProxyParser } from '../lib/parser.js';
+import { SYNC_OUTCOMES } from '../lib/sync-engine.js';
+import { createEngine, HTTP_PROXY, logger, readPool, SOCKS_PROXY, SOCKS5_PROXY, workspace } from './helpers.js';
+
+test('swap sync fills an empty pool from the live file', async (t) => {
+  const space = workspace(t);
+  const livePath = space.writeLive([HTTP_PROXY, SOCKS_PROXY, 'bad line']);
+  
+  const result = await createEngine(space, livePath).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+  assert.equal(result.recordCount, 2);
+  assert.equal(result.poolCount, 2);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), [
+    'http://192.0.2.10:8080',
+    'socks4://198.51.100.5:1080'
+  ]);
+});
+
+test('swap sync replaces the pool and keeps the old one as a backup', async (t) => {
+  const space = workspace(t);
+  
+  await createEngine(space, space.writeLive([HTTP_PROXY, SOCKS_PROXY])).sync();
+  const result = await createEngine(space, space.writeLive([SOCKS_PROXY, SOCKS5_PROXY])).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), [
+    'socks4://198.51.100.5:1080',
+    'socks5://203.0.113.7:1080'
+  ]);
+  
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  await client.connect();
+  const backups = await client.listBackups();
+  await client.disconnect();
+  
+  // Newest first: the two-proxy pool replaced by the second sync
+  assert.equal(backups[0].row_count, 2);
+});
+
+test('swap sync stages duplicate proxies once and merges their sources', async (t) => {
+  const space = workspace(t);
+  const first = space.writeLive([HTTP_PROXY, SOCKS_PROXY], 'first.txt');
+  const second = space.writeLive([HTTP_PROXY, HTTP_PROXY], 'second.txt');
+  
+  const result = await createEngine(space, `${first},${second}`).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+  assert.equal(result.recordCount, 2);
+  
+  const rows = await readPool(space);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(rows[0].source.split(',').sort(), [first, second].sort());
+});
+
+test('swap sync leaves the pool alone when the live file has no valid records', async (t) => {
+  const space = workspace(t);
+  
+  await createEngine(space, space.writeLive([HTTP_PROXY])).sync();
+  const result = await createEngine(space, space.writeLive(['bad line'])).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.FAILED);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), ['http://192.0.2.10:8080']);
+});
+
+test('swap sync fails cleanly when the quarantine file cannot be opened', async (t) => {
+  const space = workspace(t);
+  
+  await createEngine(space, space.writeLive([HTTP_PROXY])).sync();
+  const result = await createEngine(space, space.writeLive([SOCKS_PROXY, 'bad line']), {
+    quarantineFile: join(space.dir, 'missing', 'rejected.jsonl')
+  }).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.FAILED);
+  assert.match(result.error, /Cannot open quarantine file .*ENOENT/);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), ['http://192.0.2.10:8080']);
+});
+
+test('swap sync takes the lock before migrating a new database', async (t) => {
+  const space = workspace(t);
+  const holder = createDatabaseClient(space.databaseUrl, logger);
+  await holder.connect();
+  const lock = new SyncLock(holder, logger);
+  await lock.acquire();
+  
+  try {
+    const result = await createEngine(space, space.writeLive([HTTP_PROXY]), { lockWaitSeconds: 0 }).sync();
+    
+    assert.equal(result.outcome, SYNC_OUTCOMES.LOCKED);
+    const tables = await holder.db.sql("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+    assert.deepEqual(tables.map(table => table.name), ['schema_migrations', 'sync_lock']);
+    
+    // Only the lock table migration ran; the rest waits for the lock holder
+    const applied = await holder.db.sql('SELECT version FROM schema_migrations');
+    assert.deepEqual(applied.map(row => row.version), [5]);
+  } finally {
+    await lock.release();
+    await holder.disconnect();
+  }
+});
+
+test('dry run writes the quarantine report and leaves the pool alone', async (t) => {
+  const space = workspace(t);
+  const quarantineFile = join(space.dir, 'rejected.jsonl');
+  
+  await createEngine(space, space.writeLive([HTTP_PROXY])).sync();
+  const result = await createEngine(space, space.writeLive([SOCKS_PROXY, 'bad line']), {
+    quarantineFile,
+    maxInvalidCount: 5
+  }).dryRun();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+  assert.equal(result.report.parsedCount, 1);
+  assert.equal(result.report.invalidCount, 1);
+  
+  const rejected = readFileSync(quarantineFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rejected.map(entry => entry.raw), ['bad line']);
+  assert.deepEqual((await readPool(space)).map(row => row.proxy), ['http://192.0.2.10:8080']);
+});
+
+test('incremental sync inserts, updates and deletes only what changed', async (t) => {
+  const space = workspace(t);
+  
+  await createEngine(space, space.writeLive([HTTP_PROXY, SOCKS_PROXY, SOCKS5_PROXY]), { syncMode: 'incremental' }).sync();
+  
+  // Backdate every row; the trigger would reset updated_at, so it is lifted meanwhile
+  const writer = createDatabaseClient(space.databaseUrl, logger);
+  await writer.connect();
+  const [trigger] = await writer.db.sql("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'update_pool_timestamp'");
+  await writer.execScript(`
+    DROP TRIGGER update_pool_timestamp;
+    UPDATE pool SET created_at = '2000-01-01 00:00:00', updated_at = '2000-01-01 00:00:00';
+    ${trigger.sql};
+  `);
+  await writer.disconnect();
+  
+  const movedSocks = SOCKS_PROXY.replace('|London|', '|Manchester|');
+  const newHttp = HTTP_PROXY.replaceAll('192.0.2.10', '192.0.2.11');
+  const result = await createEngine(space, space.writeLive([HTTP_PROXY, movedSocks, newHttp]), { syncMode: 'incremental' }).sync();
+  
+  assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+  assert.equal(result.poolCount, 3);
+  
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  await client.connect();
+  const rows = await client.db.sql('SELECT proxy, city, created_at, updated_at FROM pool ORDER BY proxy');
+  await client.disconnect();
+  
+  const old = '2000-01-01 00:00:00';
+  assert.deepEqual(rows.map(row => row.proxy), [
+    'http://192.0.2.10:8080',
+    'http://192.0.2.11:8080',
+    'socks4://198.51.100.5:1080'
+  ]);
+  
+  // Unchanged row: untouched
+  assert.deepEqual([rows[0].created_at, rows[0].updated_at], [old, old]);
+  // Inserted row: fresh timestamps
+  assert.notEqual(rows[1].created_at, old);
+  // Changed row: keeps created_at, moves updated_at
+  assert.equal(rows[2].city, 'Manchester');
+  assert.equal(rows[2].created_at, old);
+  assert.notEqual(rows[2].updated_at, old);
+});
+
+test('incremental diff sorts records into inserts, updates and deletes', async (t) => {
+  const space = workspace(t);
+  
+  const livePath = space.writeLive([HTTP_PROXY, SOCKS_PROXY]);
+  await createEngine(space, livePath, { syncMode: 'incremental' }).sync();
+  
+  const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+  await client.connect();
+  t.after(() => client.disconnect());
+  
+  const parser = new ProxyParser(logger);
+  const movedSocks = SOCKS_PROXY.replace('|London|', '|Manchester|');
+  const records = [movedSocks, SOCKS5_PROXY].map(line => parser.parseLine(line));
+  records.forEach(record => record.addSource(livePath));
+  const diff = await client.diffAgainstPool(records);
+  
+  assert.deepEqual(diff.toInsert.map(record => record.proxy), ['socks5://203.0.113.7:1080']);
+  assert.deepEqual(diff.toUpdate.map(record => record.proxy), ['socks4://198.51.100.5:1080']);
+  assert.deepEqual(diff.toDelete, ['http://192.0.2.10:8080']);
+  assert.deepEqual(diff.changedColumns, { city: 1 });
+});
+
+for (const syncMode of ['swap', 'incremental']) {
+  test(`${syncMode} sync merges sources in order and attributes each proxy to its sources`, async (t) => {
+    const space = workspace(t);
+    const first = space.writeLive([HTTP_PROXY, 'bad line'], 'a.txt');
+    const second = space.writeLive([HTTP_PROXY.replace('|US|New York|', '|US|Boston|'), SOCKS5_PROXY], 'b.txt');
+    
+    // Glob matches are read alphabetically, so a.txt takes precedence
+    const result = await createEngine(space, join(space.dir, '*.txt'), { syncMode }).sync();
+    
+    assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+    assert.equal(result.recordCount, 2);
+    
+    const client = createDatabaseClient(space.databaseUrl, logger, { readOnly: true });
+    await client.connect();
+    const rows = await client.db.sql('SELECT proxy, city, source FROM pool ORDER BY proxy');
+    await client.disconnect();
+    
+    assert.deepEqual(rows.map(row => ({ ...row })), [
+      { proxy: 'http://192.0.2.10:8080', city: 'New York', source: `${first},${second}` },
+      { proxy: 'socks5://203.0.113.7:1080', city: 'Berlin', source: second }
+    ]);
+  });
+}
+
+test('dry run writes nothing: no lock, no ledger row, no schema or pool change', async (t) => {
+  const space = workspace(t);
+  await createEngine(space, space.writeLive([HTTP_PROXY, SOCKS_PROXY]), { backupRetention: 1 }).sync();
+  
+  const holder = createDatabaseClient(space.databaseUrl, logger);
+  await holder.connect();
+  t.after(() => holder.disconnect());
+  
+  /**
+   * Every table's rows, keyed by table name, plus the schema itself
+   */
+  const snapshot = async () => {
+    const tables = await holder.db.sql("SELECT name, sql FROM sqlite_master ORDER BY name");
+    const contents = { schema: tables.map(table => ({ ...table })) };
+    for (const { name } of tables.filter(table => table.sql?.startsWith('CREATE TABLE'))) {
+      contents[name] = (await holder.db.sql(`SELECT * FROM ${name}`)).map(row => ({ ...row }));
+    }
+    return contents;
+  };
+  
+  // A held lock does not stop a dry run, since it never takes it
+  const lock = new SyncLock(holder, logger);
+  await lock.acquire();
+  
+  try {
+    const before = await snapshot();
+    const engine = createEngine(space, space.writeLive([SOCKS_PROXY, SOCKS5_PROXY]), { backupRetention: 1 });
+    const result = await engine.dryRun();
+    
+    assert.equal(result.outcome, SYNC_OUTCOMES.SUCCESS);
+    assert.equal(result.report.added.total, 1);
+    assert.equal(result.report.removed.total, 1);
+    
+    // The engine's writable connection was never opened
+    assert.equal(engine.dbClient.db, null);
+    assert.deepEqual(await snapshot(), before);
+    assert.equal(before.sync_runs.length, 1);
+  } finally {
+    await lock.release();
+  }
+});